@@ -1,3 +1,4 @@
 #!/bin/sh
 # This script installs IndentScript on Linux.
 curl -fsSL https://raw.githubusercontent.com/ilovecode17/indentscript/refs/heads/main/src/indentscript.js -O
+curl -fsSL https://raw.githubusercontent.com/ilovecode17/indentscript/refs/heads/main/src/runtime.js -O
@@ -3,6 +3,10 @@
 const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
+const Module = require('module');
+const childProcess = require('child_process');
+const url = require('url');
+const runtime = require('./runtime.js');
 
 class Token {
   constructor(type, value, line, col) {
@@ -13,6 +17,177 @@ class Token {
   }
 }
 
+const ERROR_CODES = {
+  invalidOption: 'ISC0001',
+  unexpectedCharacter: 'ISC1001',
+  unterminatedString: 'ISC1002',
+  inconsistentDedent: 'ISC1003',
+  unclosedBracket: 'ISC1004',
+  invalidEscape: 'ISC1005',
+  unexpectedToken: 'ISC1101',
+  expectedToken: 'ISC1102',
+  invalidAssignment: 'ISC1103',
+  invalidExport: 'ISC1104',
+  invalidPattern: 'ISC1105',
+  invalidFString: 'ISC1106',
+  unsupportedImport: 'ISC2002',
+  invalidArguments: 'ISC2003',
+  yieldOutsideFunction: 'ISC2004',
+  unsupportedFeature: 'ISC3001',
+  internal: 'ISC9000'
+};
+
+function renderCodeFrame(source, line, column, context = 2) {
+  const lines = source.split(/\r?\n/);
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const frame = [];
+  
+  for (let n = start; n <= end; n++) {
+    const text = lines[n - 1];
+    frame.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} |${text ? ' ' + text : ''}`);
+    
+    if (n === line && column) {
+      const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+    }
+  }
+  
+  return frame.join('\n');
+}
+
+function formatDiagnostic(diagnostic) {
+  let location = diagnostic.file || 'input.isc';
+  if (diagnostic.line) {
+    location += `:${diagnostic.line}` + (diagnostic.column ? `:${diagnostic.column}` : '');
+  }
+  
+  const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+  let result = `${location}: ${diagnostic.severity}${code}: ${diagnostic.message}`;
+  if (diagnostic.frame) {
+    result += '\n' + diagnostic.frame;
+  }
+  return result;
+}
+
+class IndentScriptError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'IndentScriptError';
+    this.code = options.code || ERROR_CODES.internal;
+    this.severity = 'error';
+    this.file = options.file || null;
+    this.line = options.line || null;
+    this.column = options.column || null;
+    this.source = options.source || null;
+    this.errors = [this];
+    if (options.cause) this.cause = options.cause;
+  }
+
+  get frame() {
+    if (!this.source || !this.line) return null;
+    return renderCodeFrame(this.source, this.line, this.column);
+  }
+
+  format() {
+    return this.errors.map(error => formatDiagnostic(error.toJSON())).join('\n\n');
+  }
+
+  toJSON() {
+    return {
+      severity: this.severity,
+      code: this.code,
+      message: this.message,
+      file: this.file,
+      line: this.line,
+      column: this.column,
+      frame: this.frame
+    };
+  }
+}
+
+const STATEMENT_KEYWORDS = [
+  'def', 'class', 'return', 'elif', 'while', 'try', 'except', 'finally', 'with',
+  'raise', 'assert', 'pass', 'break', 'continue', 'global', 'nonlocal', 'del'
+];
+
+const STRING_PREFIXES = ['r', 'u', 'b', 'f', 'br', 'rb', 'fr', 'rf'];
+
+const SIMPLE_ESCAPES = {
+  '\n': '', '\\': '\\', "'": "'", '"': '"',
+  a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v'
+};
+
+// Python resolves \N{...} against the whole Unicode name table, which is too
+// large to carry here. Accented Latin letters, Greek letters and digits are
+// derived from their names; other characters must be listed.
+const UNICODE_NAMES = {
+  'NULL': 0x0, 'CHARACTER TABULATION': 0x9, 'LINE FEED': 0xa, 'CARRIAGE RETURN': 0xd,
+  'ESCAPE': 0x1b, 'SPACE': 0x20, 'DELETE': 0x7f, 'NO-BREAK SPACE': 0xa0,
+  'CENT SIGN': 0xa2, 'POUND SIGN': 0xa3, 'YEN SIGN': 0xa5, 'SECTION SIGN': 0xa7,
+  'COPYRIGHT SIGN': 0xa9, 'NOT SIGN': 0xac, 'REGISTERED SIGN': 0xae, 'DEGREE SIGN': 0xb0,
+  'PLUS-MINUS SIGN': 0xb1, 'MICRO SIGN': 0xb5, 'PILCROW SIGN': 0xb6, 'MIDDLE DOT': 0xb7,
+  'MULTIPLICATION SIGN': 0xd7, 'DIVISION SIGN': 0xf7,
+  'LATIN CAPITAL LETTER AE': 0xc6, 'LATIN SMALL LETTER AE': 0xe6,
+  'LATIN CAPITAL LETTER O WITH STROKE': 0xd8, 'LATIN SMALL LETTER O WITH STROKE': 0xf8,
+  'LATIN SMALL LETTER SHARP S': 0xdf, 'LATIN SMALL LETTER DOTLESS I': 0x131,
+  'LATIN CAPITAL LETTER L WITH STROKE': 0x141, 'LATIN SMALL LETTER L WITH STROKE': 0x142,
+  'GREEK SMALL LETTER FINAL SIGMA': 0x3c2,
+  'EN DASH': 0x2013, 'EM DASH': 0x2014, 'LEFT SINGLE QUOTATION MARK': 0x2018,
+  'RIGHT SINGLE QUOTATION MARK': 0x2019, 'LEFT DOUBLE QUOTATION MARK': 0x201c,
+  'RIGHT DOUBLE QUOTATION MARK': 0x201d, 'DAGGER': 0x2020, 'BULLET': 0x2022,
+  'HORIZONTAL ELLIPSIS': 0x2026, 'PER MILLE SIGN': 0x2030, 'EURO SIGN': 0x20ac,
+  'TRADE MARK SIGN': 0x2122, 'ZERO WIDTH SPACE': 0x200b, 'ZERO WIDTH NON-JOINER': 0x200c,
+  'ZERO WIDTH JOINER': 0x200d, 'ZERO WIDTH NO-BREAK SPACE': 0xfeff,
+  'LEFTWARDS ARROW': 0x2190, 'UPWARDS ARROW': 0x2191, 'RIGHTWARDS ARROW': 0x2192,
+  'DOWNWARDS ARROW': 0x2193, 'INFINITY': 0x221e, 'SQUARE ROOT': 0x221a,
+  'ALMOST EQUAL TO': 0x2248, 'NOT EQUAL TO': 0x2260, 'LESS-THAN OR EQUAL TO': 0x2264,
+  'GREATER-THAN OR EQUAL TO': 0x2265, 'BOX DRAWINGS LIGHT HORIZONTAL': 0x2500,
+  'BOX DRAWINGS LIGHT VERTICAL': 0x2502, 'FULL BLOCK': 0x2588, 'BLACK STAR': 0x2605,
+  'WHITE STAR': 0x2606, 'SNOWMAN': 0x2603, 'BLACK HEART SUIT': 0x2665,
+  'CHECK MARK': 0x2713, 'HEAVY CHECK MARK': 0x2714, 'BALLOT X': 0x2717,
+  'REPLACEMENT CHARACTER': 0xfffd, 'GRINNING FACE': 0x1f600, 'THUMBS UP SIGN': 0x1f44d
+};
+
+const GREEK_LETTERS = [
+  'ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA', 'ETA', 'THETA', 'IOTA', 'KAPPA', 'LAMDA', 'MU',
+  'NU', 'XI', 'OMICRON', 'PI', 'RHO', 'SIGMA', 'TAU', 'UPSILON', 'PHI', 'CHI', 'PSI', 'OMEGA'
+];
+
+const COMBINING_MARKS = {
+  'GRAVE': 0x300, 'ACUTE': 0x301, 'CIRCUMFLEX': 0x302, 'TILDE': 0x303, 'MACRON': 0x304,
+  'BREVE': 0x306, 'DOT ABOVE': 0x307, 'DIAERESIS': 0x308, 'RING ABOVE': 0x30a,
+  'DOUBLE ACUTE': 0x30b, 'CARON': 0x30c, 'CEDILLA': 0x327, 'OGONEK': 0x328
+};
+
+const DIGIT_NAMES = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE'];
+
+// The code point named by a \N{...} escape, or null if the name is unknown.
+function unicodeCharacter(name) {
+  name = name.trim().toUpperCase();
+  if (Object.prototype.hasOwnProperty.call(UNICODE_NAMES, name)) return UNICODE_NAMES[name];
+  
+  const digit = /^DIGIT (\w+)$/.exec(name);
+  if (digit && DIGIT_NAMES.includes(digit[1])) return 0x30 + DIGIT_NAMES.indexOf(digit[1]);
+  
+  const greek = /^GREEK (SMALL|CAPITAL) LETTER (\w+)$/.exec(name);
+  if (greek && GREEK_LETTERS.includes(greek[2])) {
+    const index = GREEK_LETTERS.indexOf(greek[2]);
+    return (greek[1] === 'SMALL' ? 0x3b1 : 0x391) + index + (index >= 17 ? 1 : 0);
+  }
+  
+  const latin = /^LATIN (SMALL|CAPITAL) LETTER ([A-Z])(?: WITH (.+))?$/.exec(name);
+  if (!latin) return null;
+  let text = latin[1] === 'SMALL' ? latin[2].toLowerCase() : latin[2];
+  for (const mark of latin[3] ? latin[3].split(' AND ') : []) {
+    if (!COMBINING_MARKS[mark]) return null;
+    text += String.fromCharCode(COMBINING_MARKS[mark]);
+  }
+  text = text.normalize('NFC');
+  return text.length === 1 ? text.charCodeAt(0) : null;
+}
+
 class Lexer {
   constructor(code) {
     this.code = code;
@@ -20,6 +195,11 @@ class Lexer {
     this.line = 1;
     this.col = 1;
     this.tokens = [];
+    this.errors = [];
+  }
+
+  error(code, message, line, column) {
+    this.errors.push(new IndentScriptError(message, { code, line, column }));
   }
 
   isWhitespace(ch) {
@@ -64,72 +244,143 @@ class Lexer {
     }
   }
 
-  readString(quote) {
+  // Strings keep Python's escapes: a raw string (r"...") and a JS template
+  // literal leave every backslash in place, and bytes accept only ASCII.
+  readString(quote, prefix = '') {
+    const raw = prefix.includes('r') || quote === '`';
+    const bytes = prefix.includes('b');
+    const triple = quote !== '`' && this.peek(1) === quote && this.peek(2) === quote;
+    const startLine = this.line;
+    const startCol = this.col;
     let value = '';
-    let isTemplate = false;
-    const startQuote = quote;
+    let terminated = false;
     
-    if (this.peek() === quote && this.peek(1) === quote) {
-      this.advance();
+    this.advance();
+    if (triple) {
       this.advance();
       this.advance();
-      
-      while (this.pos < this.code.length) {
-        if (this.peek() === quote && this.peek(1) === quote && this.peek(2) === quote) {
-          this.advance();
-          this.advance();
-          this.advance();
-          break;
-        }
-        value += this.advance();
-      }
-      return { value, isTemplate: false, isMultiline: true };
     }
     
-    this.advance();
-    let escaped = false;
-    
     while (this.pos < this.code.length) {
       const ch = this.peek();
       
-      if (escaped) {
-        if (ch === 'n') value += '\n';
-        else if (ch === 't') value += '\t';
-        else if (ch === 'r') value += '\r';
-        else if (ch === '\\') value += '\\';
-        else if (ch === quote) value += quote;
-        else value += ch;
-        escaped = false;
+      if (ch === quote && (!triple || (this.peek(1) === quote && this.peek(2) === quote))) {
         this.advance();
-        continue;
+        if (triple) {
+          this.advance();
+          this.advance();
+        }
+        terminated = true;
+        break;
+      }
+      
+      if (this.isNewline(ch) && !triple && quote !== '`') {
+        break;
       }
       
       if (ch === '\\') {
-        escaped = true;
-        this.advance();
+        value += raw ? this.advance() + (this.pos < this.code.length ? this.advance() : '') : this.readEscape(bytes);
         continue;
       }
       
-      if (ch === quote) {
-        this.advance();
-        break;
+      if (bytes && ch > '\x7f') {
+        this.error(ERROR_CODES.invalidEscape, 'bytes can only contain ASCII literal characters', this.line, this.col);
       }
       
-      if (ch === '{' && (startQuote === 'f' || startQuote === 'F')) {
-        isTemplate = true;
+      value += this.advance();
+    }
+    
+    if (!terminated) {
+      this.error(ERROR_CODES.unterminatedString,
+        triple ? 'Unterminated triple-quoted string' : 'Unterminated string literal', startLine, startCol);
+    }
+    
+    return { value, isMultiline: triple };
+  }
+
+  // Decodes the escape sequence at the current backslash. Unknown escapes
+  // keep their backslash, as in Python.
+  readEscape(bytes) {
+    const line = this.line;
+    const col = this.col;
+    this.advance();
+    if (this.peek() === '\r' && this.peek(1) === '\n') {
+      this.advance();
+    }
+    const ch = this.peek();
+    
+    if (Object.prototype.hasOwnProperty.call(SIMPLE_ESCAPES, ch)) {
+      this.advance();
+      return SIMPLE_ESCAPES[ch];
+    }
+    if (ch >= '0' && ch <= '7') {
+      let digits = '';
+      while (digits.length < 3 && this.peek() >= '0' && this.peek() <= '7') {
+        digits += this.advance();
       }
-      
-      value += ch;
+      return String.fromCharCode(parseInt(digits, 8));
+    }
+    
+    const length = { x: 2, u: bytes ? 0 : 4, U: bytes ? 0 : 8 }[ch];
+    if (length) {
+      this.advance();
+      let digits = '';
+      while (digits.length < length && /[0-9a-fA-F]/.test(this.peek())) {
+        digits += this.advance();
+      }
+      const code = parseInt(digits, 16);
+      if (digits.length < length || code > 0x10ffff) {
+        this.error(ERROR_CODES.invalidEscape, `Invalid \\${ch} escape: expected ${length} hex digits`, line, col);
+        return '';
+      }
+      return String.fromCodePoint(code);
+    }
+    
+    if (ch === 'N' && !bytes) {
       this.advance();
+      const match = /\{([^}\n]*)\}/y;
+      match.lastIndex = this.pos;
+      const name = match.exec(this.code);
+      const code = name ? unicodeCharacter(name[1]) : null;
+      if (code === null) {
+        this.error(ERROR_CODES.invalidEscape,
+          name ? `Unknown Unicode character name '${name[1]}'` : 'Malformed \\N character escape', line, col);
+        return '';
+      }
+      while (this.pos < match.lastIndex) {
+        this.advance();
+      }
+      return String.fromCodePoint(code);
     }
     
-    return { value, isTemplate, isMultiline: false };
+    return '\\';
+  }
+
+  // The prefix of a string literal such as r"", b'' or rf"", lowercased, or
+  // null when the identifier at `pos` does not start one.
+  stringPrefix() {
+    const match = /([rRbBfFuU]{1,2})["']/y;
+    match.lastIndex = this.pos;
+    const prefix = match.exec(this.code);
+    return prefix && STRING_PREFIXES.includes(prefix[1].toLowerCase()) ? prefix[1].toLowerCase() : null;
   }
 
   readNumber() {
     let value = '';
     let hasDecimal = false;
-    
+
+    const radix = { x: /[0-9a-fA-F]/, o: /[0-7]/, b: /[01]/ }[this.peek(1).toLowerCase()];
+    if (this.peek() === '0' && radix) {
+      value += this.advance() + this.advance();
+      while (radix.test(this.peek()) || this.peek() === '_') {
+        const ch = this.advance();
+        if (ch !== '_') {
+          value += ch;
+        }
+      }
+      return value;
+    }
+
     while (this.pos < this.code.length) {
       const ch = this.peek();
       if (this.isDigit(ch)) {
@@ -165,12 +416,23 @@ class Lexer {
     return value;
   }
 
+  // A line inside brackets that begins with a statement-only keyword means
+  // a bracket was left open; lexing resumes normally so that one missing ')'
+  // does not swallow the rest of the file.
+  startsStatement(pos) {
+    const match = /[ \t]*([A-Za-z_]+)/y;
+    match.lastIndex = pos;
+    const word = match.exec(this.code);
+    return word !== null && STATEMENT_KEYWORDS.includes(word[1]);
+  }
+
   tokenize() {
     const indentStack = [0];
     let atLineStart = true;
+    const openBrackets = [];
 
     while (this.pos < this.code.length) {
-      if (atLineStart && this.isWhitespace(this.peek())) {
+      if (atLineStart) {
         let indent = 0;
         
         while (this.pos < this.code.length && this.isWhitespace(this.peek())) {
@@ -179,22 +441,22 @@ class Lexer {
           this.advance();
         }
         
-        if (this.isNewline(this.peek()) || this.peek() === '#' || this.peek() === '') {
-          continue;
-        }
-        
-        if (indent > indentStack[indentStack.length - 1]) {
-          indentStack.push(indent);
-          this.tokens.push(new Token('INDENT', indent, this.line, 1));
-        } else if (indent < indentStack[indentStack.length - 1]) {
-          while (indentStack.length > 1 && indent < indentStack[indentStack.length - 1]) {
-            indentStack.pop();
-            this.tokens.push(new Token('DEDENT', indent, this.line, 1));
+        if (!this.isNewline(this.peek()) && this.peek() !== '#' && this.peek() !== '') {
+          if (indent > indentStack[indentStack.length - 1]) {
+            indentStack.push(indent);
+            this.tokens.push(new Token('INDENT', indent, this.line, 1));
+          } else if (indent < indentStack[indentStack.length - 1]) {
+            while (indentStack.length > 1 && indent < indentStack[indentStack.length - 1]) {
+              indentStack.pop();
+              this.tokens.push(new Token('DEDENT', indent, this.line, 1));
+            }
+            if (indent !== indentStack[indentStack.length - 1]) {
+              this.error(ERROR_CODES.inconsistentDedent, 'Unindent does not match any outer indentation level', this.line, this.col);
+            }
           }
+          
+          atLineStart = false;
         }
-        
-        atLineStart = false;
-        continue;
       }
 
       this.skipWhitespace();
@@ -202,9 +464,25 @@ class Lexer {
       if (this.pos >= this.code.length) break;
 
       const ch = this.peek();
+      const startLine = this.line;
       const startCol = this.col;
 
+      if (ch === '\\' && this.isNewline(this.peek(1))) {
+        this.advance();
+        this.advance();
+        continue;
+      }
+
       if (this.isNewline(ch)) {
+        if (openBrackets.length > 0 && !this.startsStatement(this.pos + 1)) {
+          this.advance();
+          continue;
+        }
+        if (openBrackets.length > 0) {
+          const bracket = openBrackets[0];
+          this.error(ERROR_CODES.unclosedBracket, `'${bracket.value}' was never closed`, bracket.line, bracket.col);
+          openBrackets.length = 0;
+        }
         if (this.tokens.length > 0 && this.tokens[this.tokens.length - 1].type !== 'NEWLINE') {
           this.tokens.push(new Token('NEWLINE', '\\n', this.line, this.col));
         }
@@ -220,25 +498,28 @@ class Lexer {
         continue;
       }
 
-      if ((ch === 'f' || ch === 'F') && (this.peek(1) === '"' || this.peek(1) === "'")) {
-        this.advance();
-        const quote = this.peek();
-        const strData = this.readString(quote);
-        this.tokens.push(new Token('FSTRING', strData.value, this.line, startCol));
+      const prefix = this.isAlpha(ch) ? this.stringPrefix() : null;
+      if (prefix !== null) {
+        for (let i = 0; i < prefix.length; i++) {
+          this.advance();
+        }
+        const strData = this.readString(this.peek(), prefix);
+        const type = prefix.includes('f') ? 'FSTRING' : prefix.includes('b') ? 'BYTES' : 'STRING';
+        this.tokens.push(new Token(type, strData.value, startLine, startCol));
         atLineStart = false;
         continue;
       }
 
       if (ch === '"' || ch === "'") {
         const strData = this.readString(ch);
-        this.tokens.push(new Token('STRING', strData.value, this.line, startCol));
+        this.tokens.push(new Token('STRING', strData.value, startLine, startCol));
         atLineStart = false;
         continue;
       }
 
       if (ch === '`') {
         const strData = this.readString(ch);
-        this.tokens.push(new Token('TEMPLATE', strData.value, this.line, startCol));
+        this.tokens.push(new Token('TEMPLATE', strData.value, startLine, startCol));
         atLineStart = false;
         continue;
       }
@@ -270,7 +551,7 @@ class Lexer {
       }
 
       const threeChar = ch + this.peek(1) + this.peek(2);
-      if (['===', '!==', '**=', '//=', '>>>', '<<=', '>>='].includes(threeChar)) {
+      if (['===', '!==', '**=', '//=', '>>>', '<<=', '>>=', '...'].includes(threeChar)) {
         this.advance();
         this.advance();
         this.advance();
@@ -282,7 +563,7 @@ class Lexer {
       const twoChar = ch + this.peek(1);
       if (['==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', 
            '*=', '/=', '%=', '**', '//', '<<', '>>', '&=', '|=', '^=',
-           '=>', '..', '?.'].includes(twoChar)) {
+           '=>', '->', '..', '?.'].includes(twoChar)) {
         this.advance();
         this.advance();
         this.tokens.push(new Token('OPERATOR', twoChar, this.line, startCol));
@@ -298,7 +579,13 @@ class Lexer {
       }
 
       if ('(){}[]'.includes(ch)) {
-        this.tokens.push(new Token('BRACKET', ch, this.line, this.col));
+        const token = new Token('BRACKET', ch, this.line, this.col);
+        if ('([{'.includes(ch)) {
+          openBrackets.push(token);
+        } else if (openBrackets.length > 0) {
+          openBrackets.pop();
+        }
+        this.tokens.push(token);
         this.advance();
         atLineStart = false;
         continue;
@@ -311,6 +598,7 @@ class Lexer {
         continue;
       }
 
+      this.error(ERROR_CODES.unexpectedCharacter, `Unexpected character '${ch}'`, startLine, startCol);
       this.advance();
       atLineStart = false;
     }
@@ -325,10 +613,45 @@ class Lexer {
   }
 }
 
+const SOFT_KEYWORDS = [
+  'print', 'len', 'range', 'enumerate', 'get', 'set', 'static',
+  'implements', 'interface', 'package', 'private', 'protected', 'public'
+];
+
+const ASSIGNMENT_OPERATORS = [
+  '=', '+=', '-=', '*=', '/=', '//=', '%=', '**=', '&=', '|=', '^=', '<<=', '>>='
+];
+
+const COMPARISON_OPERATORS = ['<', '>', '<=', '>=', '==', '!=', '===', '!=='];
+
+const BINARY_LEVELS = [
+  ['|'],
+  ['^'],
+  ['&'],
+  ['<<', '>>', '>>>'],
+  ['+', '-'],
+  ['*', '/', '//', '%']
+];
+
+const CLAUSE_KEYWORDS = ['elif', 'else', 'except', 'finally'];
+
+function describeToken(token) {
+  if (token.type === 'EOF') return 'end of input';
+  if (token.type === 'NEWLINE') return 'end of line';
+  if (token.type === 'INDENT') return 'indent';
+  if (token.type === 'DEDENT') return 'dedent';
+  return `${token.type} '${token.value}'`;
+}
+
 class Parser {
   constructor(tokens) {
     this.tokens = tokens;
     this.pos = 0;
+    this.errors = [];
+  }
+
+  error(code, message, token) {
+    return new IndentScriptError(message, { code, line: token.line, column: token.col });
   }
 
   peek(offset = 0) {
@@ -341,7 +664,7 @@ class Parser {
   }
 
   skipNewlines() {
-    while (this.peek().type === 'NEWLINE') {
+    while (this.peek().type === 'NEWLINE' || this.isPunctuation(';')) {
       this.advance();
     }
   }
@@ -349,7 +672,8 @@ class Parser {
   expect(type, value = null) {
     const token = this.peek();
     if (token.type !== type || (value !== null && token.value !== value)) {
-      throw new Error(`Expected ${type}${value ? ` '${value}'` : ''} but got ${token.type} '${token.value}' at line ${token.line}:${token.col}`);
+      throw this.error(ERROR_CODES.expectedToken,
+        `Expected ${type}${value ? ` '${value}'` : ''} but got ${describeToken(token)}`, token);
     }
     return this.advance();
   }
@@ -359,24 +683,72 @@ class Parser {
     this.skipNewlines();
     
     while (this.peek().type !== 'EOF') {
-      try {
-        const stmt = this.parseStatement();
-        if (stmt) statements.push(stmt);
-        this.skipNewlines();
-      } catch (error) {
-        throw error;
-      }
+      const stmt = this.parseStatementOrRecover();
+      if (stmt) statements.push(stmt);
+      this.skipNewlines();
+    }
+    
+    if (this.errors.length > 0) {
+      const error = this.errors[0];
+      error.errors = this.errors;
+      throw error;
     }
     
     return { type: 'Program', body: statements };
   }
 
+  parseStatementOrRecover() {
+    const start = this.pos;
+    
+    try {
+      return this.parseStatement();
+    } catch (error) {
+      if (!(error instanceof IndentScriptError)) throw error;
+      this.errors.push(error);
+      this.synchronize();
+      if (this.pos === start && this.peek().type !== 'EOF') {
+        this.advance();
+      }
+      return null;
+    }
+  }
+
+  // Skips the rest of a statement that failed to parse, together with any
+  // block it opened and the elif/else/except/finally clauses attached to it,
+  // so that parsing resumes at the next statement of the enclosing block.
+  synchronize() {
+    let depth = 0;
+    
+    while (this.peek().type !== 'EOF') {
+      const token = this.peek();
+      
+      if (token.type === 'DEDENT') {
+        if (depth === 0) return;
+        this.advance();
+        depth--;
+        if (depth === 0 && !CLAUSE_KEYWORDS.includes(this.peek().value)) return;
+        continue;
+      }
+      
+      this.advance();
+      if (token.type === 'INDENT') {
+        depth++;
+      } else if (token.type === 'NEWLINE' && depth === 0 && this.peek().type !== 'INDENT') {
+        return;
+      }
+    }
+  }
+
   parseStatement() {
     this.skipNewlines();
     const token = this.peek();
 
     if (token.type === 'EOF') return null;
 
+    return this.locate(this.parseStatementAt(token), token);
+  }
+
+  parseStatementAt(token) {
     if (token.type === 'KEYWORD') {
       switch (token.value) {
         case 'def': return this.parseFunctionDef();
@@ -384,22 +756,59 @@ class Parser {
         case 'for': return this.parseForLoop();
         case 'if': return this.parseIfStatement();
         case 'while': return this.parseWhileLoop();
+        case 'try': return this.parseTryExcept();
+        case 'with': return this.parseWith();
+        case 'async': return this.parseAsync();
+        case 'export':
+          if (['def', 'class', 'async'].includes(this.peek(1).value)) return this.parseExport();
+          break;
+      }
+    }
+    
+    if (token.type === 'PUNCTUATION' && token.value === '@') {
+      return this.parseDecorated();
+    }
+    
+    if (token.type === 'IDENTIFIER' && token.value === 'match' && this.isMatchStatement()) {
+      return this.parseMatch();
+    }
+
+    const stmt = this.parseSimpleStatement();
+    const next = this.peek();
+    if (next.type !== 'NEWLINE' && next.type !== 'DEDENT' && next.type !== 'EOF' && next.value !== ';') {
+      throw this.error(ERROR_CODES.unexpectedToken, `Unexpected ${describeToken(next)}`, next);
+    }
+    return stmt;
+  }
+
+  locate(node, token) {
+    if (node && node.line === undefined) {
+      node.line = token.line;
+      node.col = token.col;
+    }
+    return node;
+  }
+
+  parseSimpleStatement() {
+    const token = this.peek();
+
+    if (token.type === 'KEYWORD') {
+      switch (token.value) {
         case 'return': return this.parseReturn();
         case 'import': return this.parseImport();
         case 'from': return this.parseFromImport();
-        case 'try': return this.parseTryExcept();
         case 'raise': return this.parseRaise();
         case 'assert': return this.parseAssert();
-        case 'with': return this.parseWith();
         case 'pass': this.advance(); return { type: 'PassStatement' };
         case 'break': this.advance(); return { type: 'BreakStatement' };
         case 'continue': this.advance(); return { type: 'ContinueStatement' };
-        case 'lambda': return this.parseLambda();
-        case 'async': return this.parseAsync();
-        case 'await': return this.parseAwait();
+        case 'const':
+        case 'let':
+        case 'var': return this.parseVariableDeclaration();
+        case 'export': return this.parseExport();
         case 'del': return this.parseDelete();
-        case 'global': return this.parseGlobal();
-        case 'yield': return this.parseYield();
+        case 'global':
+        case 'nonlocal': return this.parseGlobal();
         case 'print': return this.parsePrint();
       }
     }
@@ -409,7 +818,7 @@ class Parser {
 
   parseFunctionDef() {
     this.advance();
-    const name = this.expect('IDENTIFIER').value;
+    const name = this.expectName();
     
     this.expect('BRACKET', '(');
     const params = this.parseParameters();
@@ -436,51 +845,143 @@ class Parser {
     };
   }
 
-  parseParameters() {
+  // Parameters follow Python: names before `/` are positional-only, names
+  // after `*` or `*args` are keyword-only and `**kwargs` comes last.
+  parseParameters(terminator = ')') {
     const params = [];
+    let keywordOnly = false;
     
-    while (this.peek().value !== ')' && this.peek().type !== 'EOF') {
-      if (this.peek().value === '*') {
+    while (this.peek().value !== terminator && this.peek().type !== 'EOF') {
+      const token = this.peek();
+      
+      if (this.isOperator('**')) {
         this.advance();
-        if (this.peek().value === '*') {
-          this.advance();
-          params.push({
-            name: this.expect('IDENTIFIER').value,
-            spread: 'dict'
-          });
-        } else {
-          params.push({
-            name: this.expect('IDENTIFIER').value,
-            spread: 'array'
-          });
+        params.push(this.parseAnnotation({ name: this.expectName(), spread: 'dict' }, terminator));
+      } else if (this.isOperator('*')) {
+        this.advance();
+        if (keywordOnly) {
+          throw this.error(ERROR_CODES.unexpectedToken, "Only one '*' is allowed in a parameter list", token);
         }
+        keywordOnly = true;
+        if (this.isName()) {
+          params.push(this.parseAnnotation({ name: this.advance().value, spread: 'array' }, terminator));
+        }
+      } else if (this.isOperator('/')) {
+        this.advance();
+        if (keywordOnly || params.length === 0 || params.some(p => p.positionalOnly)) {
+          throw this.error(ERROR_CODES.unexpectedToken, "Unexpected '/' in parameter list", token);
+        }
+        params.forEach(p => { p.positionalOnly = true; });
       } else {
-        const name = this.expect('IDENTIFIER').value;
-        let defaultValue = null;
+        if (params.some(p => p.spread === 'dict')) {
+          throw this.error(ERROR_CODES.unexpectedToken, 'Parameters cannot follow **kwargs', token);
+        }
+        const param = this.parseAnnotation({ name: this.expectName() }, terminator);
+        param.defaultValue = null;
         
         if (this.peek().value === '=') {
           this.advance();
-          defaultValue = this.parseExpression();
+          param.defaultValue = this.parseExpression();
         }
         
-        params.push({ name, defaultValue });
+        if (keywordOnly) param.keywordOnly = true;
+        params.push(param);
       }
       
       if (this.peek().value === ',') {
         this.advance();
+      } else {
+        break;
       }
     }
     
     return params;
   }
 
+  // Lambda parameters end at a colon, so they cannot be annotated.
+  parseAnnotation(param, terminator) {
+    if (terminator !== ':' && this.isPunctuation(':')) {
+      this.advance();
+      param.annotation = this.parseType();
+    }
+    return param;
+  }
+
+  // Annotations are kept as type nodes for declaration output and never
+  // reach the generated JavaScript.
   parseType() {
-    return this.expect('IDENTIFIER').value;
+    const types = [this.parsePrimaryType()];
+    while (this.isOperator('|')) {
+      this.advance();
+      types.push(this.parsePrimaryType());
+    }
+    return types.length === 1 ? types[0] : { type: 'TypeUnion', types };
+  }
+
+  parsePrimaryType() {
+    const token = this.peek();
+    
+    if (token.type === 'KEYWORD' && token.value === 'None') {
+      this.advance();
+      return { type: 'TypeReference', name: 'None', args: [] };
+    }
+    if (token.type === 'STRING') {
+      // A forward reference such as "User" or "list[Node]".
+      this.advance();
+      const parser = new Parser(new Lexer(token.value).tokenize());
+      const type = parser.parseType();
+      if (parser.peek().type !== 'NEWLINE' && parser.peek().type !== 'EOF') {
+        throw this.error(ERROR_CODES.unexpectedToken, `Invalid type annotation "${token.value}"`, token);
+      }
+      return type;
+    }
+    if (this.isOperator('...')) {
+      this.advance();
+      return { type: 'TypeEllipsis' };
+    }
+    if (this.isBracket('[')) {
+      this.advance();
+      const types = [];
+      while (!this.isBracket(']')) {
+        types.push(this.parseType());
+        if (!this.isPunctuation(',')) break;
+        this.advance();
+      }
+      this.expect('BRACKET', ']');
+      return { type: 'TypeList', types };
+    }
+    
+    let name = this.expectName();
+    while (this.isPunctuation('.')) {
+      this.advance();
+      name += '.' + this.expectName();
+    }
+    
+    const args = [];
+    if (this.isBracket('[')) {
+      this.advance();
+      while (!this.isBracket(']')) {
+        args.push(name === 'Literal' || name.endsWith('.Literal') ? this.parseLiteralType() : this.parseType());
+        if (!this.isPunctuation(',')) break;
+        this.advance();
+      }
+      this.expect('BRACKET', ']');
+    }
+    return { type: 'TypeReference', name, args };
+  }
+
+  parseLiteralType() {
+    const token = this.peek();
+    if (['NUMBER', 'STRING'].includes(token.type) || this.isOperator('-') ||
+        (token.type === 'KEYWORD' && ['None', 'True', 'False'].includes(token.value))) {
+      return { type: 'TypeLiteral', value: this.parseUnary() };
+    }
+    throw this.error(ERROR_CODES.unexpectedToken, `Unexpected ${describeToken(token)} in Literal type`, token);
   }
 
   parseClassDef() {
     this.advance();
-    const name = this.expect('IDENTIFIER').value;
+    const name = this.expectName();
     
     let superClass = null;
     if (this.peek().value === '(') {
@@ -503,14 +1004,12 @@ class Parser {
     
     while (this.peek().type !== 'DEDENT' && this.peek().type !== 'EOF') {
       if (this.peek().value === 'def') {
-        methods.push(this.parseFunctionDef());
-      } else if (this.peek().value === '@') {
-        const decorator = this.parseDecorator();
-        if (this.peek().value === 'def') {
-          const method = this.parseFunctionDef();
-          method.decorator = decorator;
-          methods.push(method);
-        }
+        methods.push(this.locate(this.parseFunctionDef(), this.peek()));
+      } else if (this.peek().value === 'async' && this.peek(1).value === 'def') {
+        methods.push(this.locate(this.parseAsync(), this.peek()));
+      } else if (this.isPunctuation('@')) {
+        const decorated = this.locate(this.parseDecorated(), this.peek());
+        (decorated.type === 'ClassDeclaration' ? properties : methods).push(decorated);
       } else {
         const stmt = this.parseStatement();
         if (stmt) properties.push(stmt);
@@ -531,28 +1030,74 @@ class Parser {
     };
   }
 
-  parseDecorator() {
-    this.expect('PUNCTUATION', '@');
-    const name = this.expect('IDENTIFIER').value;
-    this.skipNewlines();
-    return name;
-  }
-
-  parseForLoop() {
-    this.advance();
+  // One or more `@expression` lines followed by the def or class they apply
+  // to, possibly exported.
+  parseDecorated() {
+    const decorators = [];
     
-    const variables = [];
-    variables.push(this.expect('IDENTIFIER').value);
-    
-    while (this.peek().value === ',') {
+    while (this.isPunctuation('@')) {
       this.advance();
-      variables.push(this.expect('IDENTIFIER').value);
+      decorators.push(this.parseExpression());
+      const next = this.peek();
+      if (next.type !== 'NEWLINE') {
+        throw this.error(ERROR_CODES.unexpectedToken, `Unexpected ${describeToken(next)} after decorator`, next);
+      }
+      this.skipNewlines();
     }
     
-    this.expect('KEYWORD', 'in');
-    const iterable = this.parseExpression();
+    const start = this.peek();
+    const next = this.peek(start.value === 'export' ? 1 : 0);
+    if (!['def', 'class', 'async'].includes(next.value) || (next.value === 'async' && this.peek(start.value === 'export' ? 2 : 1).value !== 'def')) {
+      throw this.error(ERROR_CODES.expectedToken, `Expected def or class after decorator but got ${describeToken(next)}`, next);
+    }
     
-    if (this.peek().value === ':') {
+    const node = this.locate(this.parseStatementAt(start), start);
+    (node.type === 'ExportStatement' ? node.declaration : node).decorators = decorators;
+    return node;
+  }
+
+  // Assignment targets of `for` loops and comprehensions: names, possibly
+  // nested in parentheses or brackets, with at most one starred name each.
+  parseTargetList(closing = null) {
+    const elements = [];
+    let isTuple = closing === ']';
+    
+    while (true) {
+      elements.push(this.parseTargetElement());
+      if (!this.isPunctuation(',')) break;
+      this.advance();
+      isTuple = true;
+      if (closing && this.isBracket(closing)) break;
+    }
+    
+    return isTuple ? { type: 'TupleExpression', elements } : elements[0];
+  }
+
+  parseTargetElement() {
+    if (this.isOperator('*')) {
+      this.advance();
+      return { type: 'SpreadElement', argument: this.parseTargetElement() };
+    }
+    
+    if (this.isBracket('(') || this.isBracket('[')) {
+      const closing = this.advance().value === '(' ? ')' : ']';
+      const target = this.parseTargetList(closing);
+      this.expect('BRACKET', closing);
+      return target;
+    }
+    
+    return { type: 'Identifier', name: this.expectName() };
+  }
+
+  parseForLoop() {
+    this.advance();
+    
+    const target = this.parseTargetList();
+    
+    this.expect('KEYWORD', 'in');
+    const iterable = this.parseExpression();
+    
+    if (this.peek().value === ':') {
       this.advance();
     }
     
@@ -560,12 +1105,23 @@ class Parser {
     
     return {
       type: 'ForInLoop',
-      variables,
+      target,
       iterable,
-      body
+      body,
+      elseBlock: this.parseLoopElse()
     };
   }
 
+  // The `else:` block of a loop runs when the loop ends without `break`.
+  parseLoopElse() {
+    if (this.peek().value !== 'else') return null;
+    this.advance();
+    if (this.peek().value === ':') {
+      this.advance();
+    }
+    return this.parseBlock();
+  }
+
   parseIfStatement() {
     this.advance();
     const condition = this.parseExpression();
@@ -578,7 +1134,8 @@ class Parser {
     
     let alternate = null;
     if (this.peek().value === 'elif') {
-      alternate = this.parseIfStatement();
+      const start = this.peek();
+      alternate = this.locate(this.parseIfStatement(), start);
     } else if (this.peek().value === 'else') {
       this.advance();
       if (this.peek().value === ':') {
@@ -595,6 +1152,217 @@ class Parser {
     };
   }
 
+  // `match` is only a keyword at the start of a line ending in a colon, so
+  // it stays usable as a name.
+  isMatchStatement() {
+    let depth = 0;
+    let last = null;
+    
+    for (let i = 1; ; i++) {
+      const token = this.peek(i);
+      if (token.type === 'EOF' || (token.type === 'NEWLINE' && depth === 0)) break;
+      if (token.type === 'BRACKET') depth += '([{'.includes(token.value) ? 1 : -1;
+      last = token;
+    }
+    
+    return last !== null && last.type === 'PUNCTUATION' && last.value === ':';
+  }
+
+  parseMatch() {
+    this.advance();
+    const subject = this.parseExpressionList();
+    this.expect('PUNCTUATION', ':');
+    this.skipNewlines();
+    this.expect('INDENT');
+    
+    // A case that fails to parse is skipped like a statement would be, so
+    // the remaining cases are still checked.
+    const cases = [];
+    while (this.peek().type !== 'DEDENT' && this.peek().type !== 'EOF') {
+      try {
+        cases.push(this.parseCase());
+      } catch (error) {
+        if (!(error instanceof IndentScriptError)) throw error;
+        this.errors.push(error);
+        this.synchronize();
+      }
+      this.skipNewlines();
+    }
+    
+    if (this.peek().type === 'DEDENT') {
+      this.advance();
+    }
+    
+    cases.slice(0, -1).forEach(matchCase => {
+      if (!matchCase.guard && isIrrefutablePattern(matchCase.pattern)) {
+        this.errors.push(this.error(ERROR_CODES.invalidPattern, 'Irrefutable pattern makes remaining cases unreachable', matchCase));
+      }
+    });
+    
+    return { type: 'MatchStatement', subject, cases };
+  }
+
+  parseCase() {
+    const start = this.expect('KEYWORD', 'case');
+    const pattern = this.parsePatternList();
+    let guard = null;
+    if (this.isKeyword('if')) {
+      this.advance();
+      guard = this.parseExpression();
+    }
+    this.expect('PUNCTUATION', ':');
+    return this.locate({ pattern, guard, body: this.parseBlock() }, start);
+  }
+
+  // A pattern, or an open sequence such as `case x, *rest:`.
+  parsePatternList() {
+    const token = this.peek();
+    const first = this.parsePattern();
+    if (!this.isPunctuation(',')) {
+      if (first.type === 'StarPattern') {
+        throw this.error(ERROR_CODES.invalidPattern, 'Starred pattern outside a sequence', token);
+      }
+      return first;
+    }
+    
+    const elements = [first];
+    while (this.isPunctuation(',')) {
+      this.advance();
+      if (this.isPunctuation(':') || this.isKeyword('if')) break;
+      elements.push(this.parsePattern());
+    }
+    return this.sequencePattern(elements, this.peek());
+  }
+
+  sequencePattern(elements, token) {
+    if (elements.filter(element => element.type === 'StarPattern').length > 1) {
+      throw this.error(ERROR_CODES.invalidPattern, 'Multiple starred names in sequence pattern', token);
+    }
+    return { type: 'SequencePattern', elements };
+  }
+
+  parsePattern() {
+    const token = this.peek();
+    const alternatives = [this.parseLocatedPattern()];
+    while (this.isOperator('|')) {
+      this.advance();
+      alternatives.push(this.parseLocatedPattern());
+    }
+    
+    let pattern = alternatives[0];
+    if (alternatives.length > 1) {
+      const names = patternNames(pattern).sort().join();
+      if (alternatives.some(alternative => patternNames(alternative).sort().join() !== names)) {
+        throw this.error(ERROR_CODES.invalidPattern, 'Alternative patterns bind different names', token);
+      }
+      pattern = { type: 'OrPattern', alternatives };
+    }
+    if (this.isKeyword('as')) {
+      this.advance();
+      pattern = { type: 'AsPattern', pattern, name: this.expectName() };
+    }
+    return pattern;
+  }
+
+  parseLocatedPattern() {
+    const token = this.peek();
+    return this.locate(this.parseClosedPattern(), token);
+  }
+
+  parseClosedPattern() {
+    const token = this.peek();
+    
+    if (this.isOperator('*')) {
+      this.advance();
+      const name = this.expectName();
+      return { type: 'StarPattern', name: name === '_' ? null : name };
+    }
+    if (token.type === 'NUMBER' || token.type === 'STRING' || this.isOperator('-') ||
+        (token.type === 'KEYWORD' && ['None', 'True', 'False'].includes(token.value))) {
+      return { type: 'ValuePattern', value: this.parseUnary() };
+    }
+    if (this.isBracket('[') || this.isBracket('(')) {
+      const closing = this.advance().value === '[' ? ']' : ')';
+      const elements = [];
+      let isSequence = closing === ']';
+      while (!this.isBracket(closing)) {
+        elements.push(this.parsePattern());
+        if (!this.isPunctuation(',')) break;
+        this.advance();
+        isSequence = true;
+      }
+      this.expect('BRACKET', closing);
+      return isSequence || elements.length === 0 ? this.sequencePattern(elements, token) : elements[0];
+    }
+    if (this.isBracket('{')) {
+      return this.parseMappingPattern();
+    }
+    if (this.isName()) {
+      let value = { type: 'Identifier', name: this.advance().value };
+      const dotted = this.isPunctuation('.');
+      while (this.isPunctuation('.')) {
+        this.advance();
+        value = { type: 'MemberExpression', object: value, property: this.expectName(), optional: false };
+      }
+      if (this.isBracket('(')) {
+        return this.parseClassPattern(value);
+      }
+      if (dotted) return { type: 'ValuePattern', value };
+      return value.name === '_' ? { type: 'WildcardPattern' } : { type: 'CapturePattern', name: value.name };
+    }
+    
+    throw this.error(ERROR_CODES.unexpectedToken, `Unexpected ${describeToken(token)} in pattern`, token);
+  }
+
+  parseMappingPattern() {
+    this.advance();
+    const entries = [];
+    let rest = null;
+    
+    while (!this.isBracket('}')) {
+      if (this.isOperator('**')) {
+        this.advance();
+        rest = this.expectName();
+      } else {
+        const token = this.peek();
+        const key = this.parseClosedPattern();
+        if (key.type !== 'ValuePattern') {
+          throw this.error(ERROR_CODES.invalidPattern, 'Mapping pattern keys must be literals or dotted names', token);
+        }
+        this.expect('PUNCTUATION', ':');
+        entries.push({ key: key.value, pattern: this.parsePattern() });
+      }
+      if (!this.isPunctuation(',')) break;
+      this.advance();
+    }
+    
+    this.expect('BRACKET', '}');
+    return { type: 'MappingPattern', entries, rest };
+  }
+
+  parseClassPattern(cls) {
+    this.advance();
+    const positional = [];
+    const keywords = [];
+    
+    while (!this.isBracket(')')) {
+      if (this.isName() && this.isOperator('=', 1)) {
+        const name = this.advance().value;
+        this.advance();
+        keywords.push({ name, pattern: this.parsePattern() });
+      } else if (keywords.length > 0) {
+        throw this.error(ERROR_CODES.unexpectedToken, 'Positional patterns must come before keyword patterns', this.peek());
+      } else {
+        positional.push(this.parsePattern());
+      }
+      if (!this.isPunctuation(',')) break;
+      this.advance();
+    }
+    
+    this.expect('BRACKET', ')');
+    return { type: 'ClassPattern', cls, positional, keywords };
+  }
+
   parseWhileLoop() {
     this.advance();
     const condition = this.parseExpression();
@@ -608,7 +1376,8 @@ class Parser {
     return {
       type: 'WhileLoop',
       condition,
-      body
+      body,
+      elseBlock: this.parseLoopElse()
     };
   }
 
@@ -627,12 +1396,12 @@ class Parser {
       let errorType = null;
       let errorName = null;
       
-      if (this.peek().type === 'IDENTIFIER') {
-        errorType = this.expect('IDENTIFIER').value;
+      if (!this.isPunctuation(':')) {
+        errorType = this.parseExpression();
         
         if (this.peek().value === 'as') {
           this.advance();
-          errorName = this.expect('IDENTIFIER').value;
+          errorName = this.expectName();
         }
       }
       
@@ -644,6 +1413,15 @@ class Parser {
       handlers.push({ errorType, errorName, body: handler });
     }
     
+    let elseBlock = null;
+    if (handlers.length > 0 && this.peek().value === 'else') {
+      this.advance();
+      if (this.peek().value === ':') {
+        this.advance();
+      }
+      elseBlock = this.parseBlock();
+    }
+    
     let finallyBlock = null;
     if (this.peek().value === 'finally') {
       this.advance();
@@ -657,16 +1435,31 @@ class Parser {
       type: 'TryStatement',
       tryBlock,
       handlers,
+      elseBlock,
       finallyBlock
     };
   }
 
   parseRaise() {
     this.advance();
+    
+    const next = this.peek();
+    if (next.type === 'NEWLINE' || next.type === 'DEDENT' || next.type === 'EOF' || next.value === ';') {
+      return { type: 'RaiseStatement', error: null, cause: null };
+    }
+    
     const error = this.parseExpression();
+    let cause = null;
+    
+    if (this.isKeyword('from')) {
+      this.advance();
+      cause = this.parseExpression();
+    }
+    
     return {
       type: 'RaiseStatement',
-      error
+      error,
+      cause
     };
   }
 
@@ -687,15 +1480,22 @@ class Parser {
     };
   }
 
-  parseWith() {
+  parseWith(isAsync = false) {
     this.advance();
-    const context = this.parseExpression();
     
-    let alias = null;
-    if (this.peek().value === 'as') {
-      this.advance();
-      alias = this.expect('IDENTIFIER').value;
-    }
+    const items = [];
+    do {
+      if (items.length > 0) this.advance();
+      const context = this.parseExpression();
+      
+      let alias = null;
+      if (this.peek().value === 'as') {
+        this.advance();
+        alias = this.expectName();
+      }
+      
+      items.push({ context, alias });
+    } while (this.isPunctuation(','));
     
     if (this.peek().value === ':') {
       this.advance();
@@ -705,87 +1505,138 @@ class Parser {
     
     return {
       type: 'WithStatement',
-      context,
-      alias,
-      body
+      items,
+      body,
+      isAsync
     };
   }
 
-  parseLambda() {
+  parseAsync() {
     this.advance();
-    const params = [];
     
-    while (this.peek().value !== ':' && this.peek().type !== 'EOF') {
-      if (this.peek().type === 'IDENTIFIER') {
-        params.push(this.expect('IDENTIFIER').value);
-      }
-      if (this.peek().value === ',') {
-        this.advance();
-      }
+    if (this.peek().value === 'with') {
+      return this.parseWith(true);
     }
-    
-    if (this.peek().value === ':') {
-      this.expect('PUNCTUATION', ':');
+    if (this.isKeyword('for')) {
+      const loop = this.parseForLoop();
+      loop.isAsync = true;
+      return loop;
     }
-    const body = this.parseExpression();
     
-    return {
-      type: 'LambdaExpression',
-      params,
-      body
-    };
-  }
-
-  parseAsync() {
-    this.advance();
     const func = this.parseFunctionDef();
     func.isAsync = true;
     return func;
   }
 
-  parseAwait() {
+  parseExport() {
     this.advance();
-    const expression = this.parseExpression();
+    
+    if (this.isKeyword('default')) {
+      this.advance();
+      return {
+        type: 'ExportDefault',
+        expression: this.parseExpression()
+      };
+    }
+    
+    const start = this.peek();
+    const declaration = this.locate(this.parseStatementAt(start), start);
+    const exportable = ['FunctionDeclaration', 'ClassDeclaration', 'VariableDeclaration'];
+    
+    if (!exportable.includes(declaration.type) &&
+        !(declaration.type === 'AssignmentStatement' && declaration.operator === '=' &&
+          declaration.targets.length === 1 && declaration.targets[0].type === 'Identifier')) {
+      throw this.error(ERROR_CODES.invalidExport, `Cannot export ${declaration.type}`, start);
+    }
+    
+    return {
+      type: 'ExportStatement',
+      declaration
+    };
+  }
+
+  parseVariableDeclaration() {
+    const kind = this.advance().value;
+    const target = this.parseExpression();
+    let annotation = null;
+    let value = null;
+    
+    if (this.isPunctuation(':')) {
+      this.advance();
+      annotation = this.parseType();
+    }
+    
+    if (this.peek().type === 'OPERATOR' && this.peek().value === '=') {
+      this.advance();
+      value = this.parseExpression();
+    }
+    
     return {
-      type: 'AwaitExpression',
-      expression
+      type: 'VariableDeclaration',
+      kind,
+      target,
+      annotation,
+      value
     };
   }
 
+  // `del a, b[k]` deletes each target in turn; a parenthesized or bracketed
+  // group of targets is flattened into the list.
   parseDelete() {
     this.advance();
-    const target = this.parseExpression();
+    const targets = [];
+    const collect = (node) => {
+      if (node.type === 'TupleExpression' || node.type === 'ListExpression') {
+        node.elements.forEach(collect);
+        return;
+      }
+      if (node.type !== 'Identifier' && node.type !== 'MemberExpression' && node.type !== 'SubscriptExpression') {
+        throw this.error(ERROR_CODES.invalidAssignment, `Cannot delete ${node.type}`, this.peek());
+      }
+      targets.push(node);
+    };
+    collect(this.parseExpressionList());
     return {
       type: 'DeleteStatement',
-      target
+      targets
     };
   }
 
   parseGlobal() {
-    this.advance();
+    const keyword = this.advance().value;
     const variables = [];
-    variables.push(this.expect('IDENTIFIER').value);
+    variables.push(this.expectName());
     
     while (this.peek().value === ',') {
       this.advance();
-      variables.push(this.expect('IDENTIFIER').value);
+      variables.push(this.expectName());
     }
     
     return {
-      type: 'GlobalStatement',
+      type: keyword === 'global' ? 'GlobalStatement' : 'NonlocalStatement',
       variables
     };
   }
 
+  // `yield`, `yield value` or `yield from iterable`, which may stand alone, be
+  // assigned or appear in parentheses.
   parseYield() {
     this.advance();
+    if (this.isKeyword('from')) {
+      this.advance();
+      return { type: 'YieldExpression', value: this.parseExpression(), delegate: true };
+    }
+    
+    const next = this.peek();
     let value = null;
-    if (this.peek().type !== 'NEWLINE' && this.peek().type !== 'EOF') {
-      value = this.parseExpression();
+    if (!['NEWLINE', 'EOF', 'DEDENT'].includes(next.type) && !this.isBracket(')') && !this.isBracket(']') &&
+        !this.isBracket('}') && next.value !== ';' && !this.isOperator('=')) {
+      value = this.parseExpressionList();
     }
     return {
       type: 'YieldExpression',
-      value
+      value,
+      delegate: false
     };
   }
 
@@ -794,12 +1645,12 @@ class Parser {
     const modules = [];
     
     do {
-      const module = this.expect('IDENTIFIER').value;
+      const module = this.parseModuleSpecifier();
       let alias = null;
       
       if (this.peek().value === 'as') {
         this.advance();
-        alias = this.expect('IDENTIFIER').value;
+        alias = this.expectName();
       }
       
       modules.push({ module, alias });
@@ -817,9 +1668,16 @@ class Parser {
     };
   }
 
+  parseModuleSpecifier() {
+    if (this.peek().type === 'STRING') {
+      return this.advance().value;
+    }
+    return this.expect('IDENTIFIER').value;
+  }
+
   parseFromImport() {
     this.advance();
-    const module = this.expect('IDENTIFIER').value;
+    const module = this.parseModuleSpecifier();
     this.expect('KEYWORD', 'import');
     
     const imports = [];
@@ -829,12 +1687,12 @@ class Parser {
       imports.push({ name: '*', alias: null });
     } else {
       do {
-        const name = this.expect('IDENTIFIER').value;
+        const name = this.expectName();
         let alias = null;
         
         if (this.peek().value === 'as') {
           this.advance();
-          alias = this.expect('IDENTIFIER').value;
+          alias = this.expectName();
         }
         
         imports.push({ name, alias });
@@ -857,11 +1715,12 @@ class Parser {
   parseReturn() {
     this.advance();
     
-    if (this.peek().type === 'NEWLINE' || this.peek().type === 'EOF') {
+    const next = this.peek();
+    if (next.type === 'NEWLINE' || next.type === 'EOF' || next.type === 'DEDENT' || next.value === ';') {
       return { type: 'ReturnStatement', value: null };
     }
     
-    const value = this.parseExpression();
+    const value = this.parseExpressionList();
     return {
       type: 'ReturnStatement',
       value
@@ -869,35 +1728,17 @@ class Parser {
   }
 
   parsePrint() {
+    // `print(...)` is an ordinary call; only the bare statement form is special.
+    if (this.isBracket('(', 1)) return this.parseExpressionStatement();
     this.advance();
     
     const args = [];
-    let hasParens = false;
-    
-    if (this.peek().value === '(') {
-      hasParens = true;
-      this.advance();
-    }
-    
-    if (hasParens) {
-      while (this.peek().value !== ')' && this.peek().type !== 'EOF') {
-        args.push(this.parseExpression());
-        if (this.peek().value === ',') {
-          this.advance();
-        }
-      }
-      
-      if (this.peek().value === ')') {
+    while (this.peek().type !== 'NEWLINE' && this.peek().type !== 'EOF' && this.peek().value !== ':') {
+      args.push(this.parseExpression());
+      if (this.peek().value === ',') {
         this.advance();
-      }
-    } else {
-      while (this.peek().type !== 'NEWLINE' && this.peek().type !== 'EOF' && this.peek().value !== ':') {
-        args.push(this.parseExpression());
-        if (this.peek().value === ',') {
-          this.advance();
-        } else {
-          break;
-        }
+      } else {
+        break;
       }
     }
     
@@ -911,15 +1752,24 @@ class Parser {
     this.skipNewlines();
     
     if (this.peek().type !== 'INDENT') {
-      const stmt = this.parseStatement();
-      return stmt ? [stmt] : [];
+      const statements = [];
+      while (this.peek().type !== 'NEWLINE' && this.peek().type !== 'EOF') {
+        const stmt = this.parseStatementOrRecover();
+        if (stmt) statements.push(stmt);
+        if (!this.isPunctuation(';')) break;
+        this.advance();
+      }
+      if (this.peek().type === 'NEWLINE') {
+        this.advance();
+      }
+      return statements;
     }
     
     this.advance();
     
     const statements = [];
     while (this.peek().type !== 'DEDENT' && this.peek().type !== 'EOF') {
-      const stmt = this.parseStatement();
+      const stmt = this.parseStatementOrRecover();
       if (stmt) statements.push(stmt);
       this.skipNewlines();
     }
@@ -931,661 +1781,4608 @@ class Parser {
     return statements;
   }
 
-  parseExpressionStatement() {
-    const expr = this.parseExpression();
-    return {
-      type: 'ExpressionStatement',
-      expression: expr
-    };
+  // An expression, or a comma-separated list of them (with optional starred
+  // items) forming a tuple, as on either side of `a, *b = c, d`.
+  parseExpressionList() {
+    if (this.isKeyword('yield')) return this.parseYield();
+    
+    const start = this.peek();
+    const first = this.parseStarredExpression();
+    if (!this.isPunctuation(',') && first.type !== 'SpreadElement') return first;
+    
+    const elements = [first];
+    while (this.isPunctuation(',')) {
+      this.advance();
+      const next = this.peek();
+      if (next.type === 'NEWLINE' || next.type === 'EOF' || next.type === 'DEDENT' ||
+          next.value === ';' || (next.type === 'OPERATOR' && ASSIGNMENT_OPERATORS.includes(next.value))) {
+        break;
+      }
+      elements.push(this.parseStarredExpression());
+    }
+    
+    return this.locate({ type: 'TupleExpression', elements }, start);
   }
 
-  parseExpression() {
-    const tokens = [];
-    let depth = 0;
+  parseStarredExpression() {
+    if (this.isOperator('*')) {
+      this.advance();
+      return { type: 'SpreadElement', argument: this.parseExpression() };
+    }
+    return this.parseExpression();
+  }
+
+  parseExpressionStatement() {
+    const expr = this.parseExpressionList();
     
-    while (this.peek().type !== 'EOF') {
-      const token = this.peek();
+    if (this.isPunctuation(':')) {
+      return this.parseAnnotatedAssignment(expr);
+    }
+    
+    if (this.peek().type === 'OPERATOR' && ASSIGNMENT_OPERATORS.includes(this.peek().value)) {
+      const operator = this.peek().value;
+      const targets = [expr];
+      let value;
       
-      if (depth === 0) {
-        if (token.type === 'NEWLINE' || token.type === 'INDENT' || token.type === 'DEDENT') {
-          break;
-        }
-        if (token.value === ':' && token.type === 'PUNCTUATION') {
-          break;
+      if (operator === '=') {
+        while (this.peek().type === 'OPERATOR' && this.peek().value === '=') {
+          this.advance();
+          targets.push(this.parseExpressionList());
         }
+        value = targets.pop();
+      } else {
+        this.advance();
+        value = this.isKeyword('yield') ? this.parseYield() : this.parseExpression();
       }
       
-      if (token.value === '(' || token.value === '[' || token.value === '{') {
-        depth++;
+      for (const target of targets) {
+        this.checkAssignmentTarget(target, operator);
       }
-      if (token.value === ')' || token.value === ']' || token.value === '}') {
-        depth--;
-        if (depth < 0) break;
+      
+      return {
+        type: 'AssignmentStatement',
+        targets,
+        operator,
+        value
+      };
+    }
+    
+    return {
+      type: 'ExpressionStatement',
+      expression: expr
+    };
+  }
+
+  // `count: int = 0`, or `count: int` which only declares the type.
+  parseAnnotatedAssignment(target) {
+    if (!['Identifier', 'MemberExpression', 'SubscriptExpression'].includes(target.type)) {
+      throw this.error(ERROR_CODES.invalidAssignment, `Cannot annotate ${target.type}`, this.peek());
+    }
+    this.advance();
+    const annotation = this.parseType();
+    
+    if (!this.isOperator('=')) {
+      return { type: 'AnnotationStatement', target, annotation };
+    }
+    this.advance();
+    return { type: 'AssignmentStatement', targets: [target], operator: '=', value: this.parseExpressionList(), annotation };
+  }
+
+  checkAssignmentTarget(node, operator = '=') {
+    if (node.type === 'Identifier' || node.type === 'MemberExpression' || node.type === 'SubscriptExpression') {
+      return;
+    }
+    if ((node.type === 'ListExpression' || node.type === 'TupleExpression') && operator === '=') {
+      node.elements.forEach(element => this.checkAssignmentTarget(element.type === 'SpreadElement' ? element.argument : element));
+      if (node.elements.filter(element => element.type === 'SpreadElement').length > 1) {
+        throw this.error(ERROR_CODES.invalidAssignment, 'Multiple starred expressions in assignment', this.peek());
       }
+      return;
+    }
+    const token = this.peek();
+    throw this.error(ERROR_CODES.invalidAssignment, `Cannot assign to ${node.type}`, token);
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'KEYWORD' && token.value === value;
+  }
+
+  isOperator(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'OPERATOR' && token.value === value;
+  }
+
+  isPunctuation(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'PUNCTUATION' && token.value === value;
+  }
+
+  isBracket(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'BRACKET' && token.value === value;
+  }
+
+  isName(offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'IDENTIFIER' || (token.type === 'KEYWORD' && SOFT_KEYWORDS.includes(token.value));
+  }
+
+  expectName() {
+    if (this.isName()) {
+      return this.advance().value;
+    }
+    return this.expect('IDENTIFIER').value;
+  }
+
+  parseExpression() {
+    if (this.isKeyword('lambda')) {
+      return this.parseLambda();
+    }
+    
+    const expr = this.parseOr();
+    
+    if (this.isKeyword('if')) {
+      this.advance();
+      const test = this.parseOr();
+      this.expect('KEYWORD', 'else');
+      const alternate = this.parseExpression();
+      return { type: 'ConditionalExpression', test, consequent: expr, alternate };
+    }
+    
+    if (this.isPunctuation('?')) {
+      this.advance();
+      const consequent = this.parseExpression();
+      this.expect('PUNCTUATION', ':');
+      const alternate = this.parseExpression();
+      return { type: 'ConditionalExpression', test: expr, consequent, alternate };
+    }
+    
+    return expr;
+  }
+
+  parseLambda() {
+    this.advance();
+    const params = this.parseParameters(':');
+    this.expect('PUNCTUATION', ':');
+    const body = this.parseExpression();
+    
+    return {
+      type: 'LambdaExpression',
+      params,
+      body
+    };
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or') || this.isOperator('||')) {
+      this.advance();
+      left = { type: 'LogicalExpression', operator: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('and') || this.isOperator('&&')) {
+      this.advance();
+      left = { type: 'LogicalExpression', operator: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.advance();
+      return { type: 'UnaryExpression', operator: 'not', argument: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseBinary(0);
+    const operators = [];
+    const comparators = [];
+    
+    while (true) {
+      let operator = null;
       
-      if (depth === 0 && token.value === ',' && token.type === 'PUNCTUATION') {
+      if (this.peek().type === 'OPERATOR' && COMPARISON_OPERATORS.includes(this.peek().value)) {
+        operator = this.advance().value;
+      } else if (this.isKeyword('in') || this.isKeyword('instanceof')) {
+        operator = this.advance().value;
+      } else if (this.isKeyword('not') && this.isKeyword('in', 1)) {
+        this.advance();
+        this.advance();
+        operator = 'not in';
+      } else if (this.isKeyword('is')) {
+        this.advance();
+        operator = 'is';
+        if (this.isKeyword('not')) {
+          this.advance();
+          operator = 'is not';
+        }
+      } else {
         break;
       }
       
-      tokens.push(this.advance());
+      operators.push(operator);
+      comparators.push(this.parseBinary(0));
     }
     
+    if (operators.length === 0) return left;
+    
     return {
-      type: 'Expression',
-      tokens
+      type: 'CompareExpression',
+      left,
+      operators,
+      comparators
     };
   }
-}
 
-class CodeGenerator {
-  constructor(ast) {
-    this.ast = ast;
-    this.indentLevel = 0;
+  parseBinary(level) {
+    if (level >= BINARY_LEVELS.length) {
+      return this.parseUnary();
+    }
+    
+    let left = this.parseBinary(level + 1);
+    while (this.peek().type === 'OPERATOR' && BINARY_LEVELS[level].includes(this.peek().value)) {
+      const operator = this.advance().value;
+      const right = this.parseBinary(level + 1);
+      left = { type: 'BinaryExpression', operator, left, right };
+    }
+    return left;
   }
 
-  indent() {
-    return '  '.repeat(this.indentLevel);
+  parseUnary() {
+    const token = this.peek();
+    
+    if (token.type === 'OPERATOR' && ['-', '+', '~', '!'].includes(token.value)) {
+      this.advance();
+      return { type: 'UnaryExpression', operator: token.value, argument: this.parseUnary() };
+    }
+    
+    if (token.type === 'OPERATOR' && (token.value === '++' || token.value === '--')) {
+      this.advance();
+      return { type: 'UpdateExpression', operator: token.value, prefix: true, argument: this.parseUnary() };
+    }
+    
+    if (token.type === 'KEYWORD' && ['typeof', 'void', 'delete'].includes(token.value)) {
+      this.advance();
+      return { type: 'UnaryExpression', operator: token.value, argument: this.parseUnary() };
+    }
+    
+    return this.parsePower();
   }
 
-  generate() {
-    return this.generateProgram(this.ast);
+  parsePower() {
+    let base;
+    
+    if (this.isKeyword('await')) {
+      this.advance();
+      base = { type: 'AwaitExpression', expression: this.parsePostfix(this.parsePrimary()) };
+    } else {
+      base = this.parsePostfix(this.parsePrimary());
+    }
+    
+    if (this.isOperator('**')) {
+      this.advance();
+      return { type: 'BinaryExpression', operator: '**', left: base, right: this.parseUnary() };
+    }
+    
+    return base;
   }
 
-  generateProgram(node) {
-    const lines = [];
-    for (const stmt of node.body) {
-      const code = this.generateStatement(stmt);
-      if (code) lines.push(code);
+  parsePostfix(expr) {
+    while (true) {
+      if (this.isBracket('(')) {
+        this.advance();
+        const args = this.parseArguments();
+        this.expect('BRACKET', ')');
+        expr = { type: 'CallExpression', callee: expr, arguments: args };
+      } else if (this.isBracket('[')) {
+        this.advance();
+        const index = this.parseSubscript();
+        this.expect('BRACKET', ']');
+        expr = { type: 'SubscriptExpression', object: expr, index };
+      } else if (this.isPunctuation('.') || this.isOperator('?.')) {
+        const optional = this.advance().value === '?.';
+        const token = this.peek();
+        if (token.type !== 'IDENTIFIER' && token.type !== 'KEYWORD') {
+          this.expect('IDENTIFIER');
+        }
+        this.advance();
+        expr = { type: 'MemberExpression', object: expr, property: token.value, optional };
+      } else if (this.isOperator('++') || this.isOperator('--')) {
+        expr = { type: 'UpdateExpression', operator: this.advance().value, prefix: false, argument: expr };
+      } else {
+        return expr;
+      }
     }
-    return lines.join('\n');
   }
 
-  generateStatement(node) {
-    if (!node) return '';
+  parseSubscript() {
+    let start = null;
+    if (!this.isPunctuation(':')) {
+      start = this.parseExpression();
+      if (!this.isPunctuation(':')) return start;
+    }
     
-    switch (node.type) {
-      case 'FunctionDeclaration':
-        return this.generateFunction(node);
-      case 'ClassDeclaration':
-        return this.generateClass(node);
-      case 'ForInLoop':
-        return this.generateForIn(node);
-      case 'IfStatement':
-        return this.generateIf(node);
-      case 'WhileLoop':
-        return this.generateWhile(node);
-      case 'TryStatement':
-        return this.generateTry(node);
-      case 'WithStatement':
-        return this.generateWith(node);
-      case 'ReturnStatement':
-        return this.generateReturn(node);
-      case 'RaiseStatement':
-        return this.generateRaise(node);
-      case 'AssertStatement':
-        return this.generateAssert(node);
-      case 'PrintStatement':
-        return this.generatePrint(node);
-      case 'ImportStatement':
-        return this.generateImport(node);
-      case 'FromImportStatement':
-        return this.generateFromImport(node);
-      case 'PassStatement':
-        return '';
-      case 'BreakStatement':
-        return this.indent() + 'break;';
-      case 'ContinueStatement':
-        return this.indent() + 'continue;';
-      case 'DeleteStatement':
-        return this.indent() + 'delete ' + this.generateExpression(node.target) + ';';
-      case 'GlobalStatement':
-        return '';
+    this.advance();
+    const stop = this.isPunctuation(':') || this.isBracket(']') ? null : this.parseExpression();
+    
+    let step = null;
+    if (this.isPunctuation(':')) {
+      this.advance();
+      if (!this.isBracket(']')) step = this.parseExpression();
+    }
+    
+    return { type: 'SliceExpression', start, stop, step };
+  }
+
+  parseArguments() {
+    const args = [];
+    
+    const keywords = new Set();
+    
+    while (!this.isBracket(')') && this.peek().type !== 'EOF') {
+      const token = this.peek();
+      const afterKeywords = args.some(arg => arg.type === 'KeywordArgument' || arg.type === 'KeywordSpread');
+      
+      if (this.isOperator('**')) {
+        this.advance();
+        args.push({ type: 'KeywordSpread', argument: this.parseExpression() });
+      } else if ((this.isName() || token.type === 'KEYWORD') && this.isOperator('=', 1)) {
+        const name = this.advance().value;
+        if (keywords.has(name)) {
+          throw this.error(ERROR_CODES.invalidArguments, `Keyword argument '${name}' repeated`, token);
+        }
+        keywords.add(name);
+        this.advance();
+        args.push({ type: 'KeywordArgument', name, value: this.parseExpression() });
+      } else if (afterKeywords && !(this.isOperator('*') && !args.some(arg => arg.type === 'KeywordSpread'))) {
+        throw this.error(ERROR_CODES.invalidArguments, 'Positional argument follows keyword argument', token);
+      } else if (this.isOperator('*')) {
+        this.advance();
+        args.push({ type: 'SpreadElement', argument: this.parseExpression() });
+      } else {
+        const argument = this.parseExpression();
+        if (args.length === 0 && this.isKeyword('for')) {
+          args.push(this.parseComprehension('generator', { element: argument }));
+          break;
+        }
+        args.push(argument);
+      }
+      
+      if (this.isPunctuation(',')) {
+        this.advance();
+      } else {
+        break;
+      }
+    }
+    
+    return args;
+  }
+
+  parseComprehension(kind, parts, closing = null) {
+    const clauses = [];
+    
+    while (this.isKeyword('for') || (clauses.length > 0 && this.isKeyword('if'))) {
+      if (this.advance().value === 'for') {
+        const target = this.parseTargetList();
+        this.expect('KEYWORD', 'in');
+        clauses.push({ type: 'for', target, iterable: this.parseOr() });
+      } else {
+        clauses.push({ type: 'if', test: this.parseOr() });
+      }
+    }
+    
+    if (closing) this.expect('BRACKET', closing);
+    return Object.assign({ type: 'ComprehensionExpression', kind }, parts, { clauses });
+  }
+
+  parseSequence(closing, first = null) {
+    const elements = [];
+    let trailingComma = false;
+    let next = first;
+    
+    while (next || (!this.isBracket(closing) && this.peek().type !== 'EOF')) {
+      if (next) {
+        elements.push(next);
+        next = null;
+      } else if (this.isOperator('*')) {
+        this.advance();
+        elements.push({ type: 'SpreadElement', argument: this.parseExpression() });
+      } else {
+        elements.push(this.parseExpression());
+      }
+      
+      trailingComma = false;
+      if (this.isPunctuation(',')) {
+        this.advance();
+        trailingComma = true;
+      } else {
+        break;
+      }
+    }
+    
+    this.expect('BRACKET', closing);
+    return { elements, trailingComma };
+  }
+
+  isArrowFunction() {
+    if (this.isName()) {
+      return this.isOperator('=>', 1);
+    }
+    
+    let depth = 0;
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type !== 'BRACKET') continue;
+      if ('([{'.includes(token.value)) depth++;
+      else depth--;
+      if (depth === 0) {
+        const next = this.tokens[i + 1];
+        return Boolean(next) && next.type === 'OPERATOR' && next.value === '=>';
+      }
+    }
+    return false;
+  }
+
+  parseArrowFunction() {
+    let params;
+    
+    if (this.isName()) {
+      params = [{ name: this.advance().value, defaultValue: null }];
+    } else {
+      this.expect('BRACKET', '(');
+      params = this.parseParameters(')');
+      this.expect('BRACKET', ')');
+    }
+    
+    this.expect('OPERATOR', '=>');
+    
+    return {
+      type: 'LambdaExpression',
+      params,
+      body: this.parseExpression()
+    };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    
+    switch (token.type) {
+      case 'NUMBER':
+        this.advance();
+        return { type: 'NumberLiteral', value: token.value };
+      case 'STRING':
+      case 'FSTRING':
+      case 'BYTES':
+        return this.parseStringLiterals();
+      case 'TEMPLATE':
+        this.advance();
+        return { type: 'TemplateLiteral', value: token.value };
+      case 'IDENTIFIER':
+        if (this.isArrowFunction()) return this.parseArrowFunction();
+        this.advance();
+        return { type: 'Identifier', name: token.value };
+      case 'KEYWORD':
+        return this.parseKeywordPrimary(token);
+      case 'BRACKET':
+        if (token.value === '(') return this.parseParenthesized();
+        if (token.value === '[') return this.parseList();
+        if (token.value === '{') return this.parseBraces();
+        break;
+      case 'OPERATOR':
+        if (token.value === '...') {
+          this.advance();
+          return { type: 'EllipsisLiteral' };
+        }
+        break;
+    }
+    
+    throw this.error(ERROR_CODES.unexpectedToken, `Unexpected ${describeToken(token)}`, token);
+  }
+
+  // Adjacent literals are joined as in Python: "a" "b" is "ab", and joining
+  // with an f-string makes the whole literal an f-string.
+  parseStringLiterals() {
+    const tokens = [];
+    while (['STRING', 'FSTRING', 'BYTES'].includes(this.peek().type)) {
+      tokens.push(this.advance());
+    }
+    
+    const bytes = tokens.filter(token => token.type === 'BYTES');
+    if (bytes.length > 0 && bytes.length < tokens.length) {
+      throw this.error(ERROR_CODES.unexpectedToken, 'Cannot mix bytes and nonbytes literals', tokens[0]);
+    }
+    if (bytes.length > 0) {
+      return { type: 'BytesLiteral', value: tokens.map(token => token.value).join('') };
+    }
+    if (tokens.every(token => token.type === 'STRING')) {
+      return { type: 'StringLiteral', value: tokens.map(token => token.value).join('') };
+    }
+    
+    const parts = [];
+    for (const token of tokens) {
+      const next = token.type === 'FSTRING' ? this.parseFString(token).parts : [token.value];
+      for (const part of next) {
+        if (typeof part === 'string' && typeof parts[parts.length - 1] === 'string') {
+          parts[parts.length - 1] += part;
+        } else if (part !== '') {
+          parts.push(part);
+        }
+      }
+    }
+    return { type: 'FStringLiteral', parts };
+  }
+
+  // Splits an f-string into literal text and `{expression!conversion:spec}`
+  // fields. A spec may itself contain fields, as in f"{x:{width}.{precision}f}".
+  parseFString(token) {
+    return { type: 'FStringLiteral', parts: this.parseFStringParts(token, token.value, 0, false).parts };
+  }
+
+  parseFStringParts(token, text, start, inSpec) {
+    const parts = [];
+    let literal = '';
+    let i = start;
+    
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '{' && !inSpec && text[i + 1] === '{') {
+        literal += '{';
+        i += 2;
+      } else if (ch === '{') {
+        if (literal) parts.push(literal);
+        literal = '';
+        const { field, end } = this.parseFStringField(token, text, i + 1);
+        parts.push(field);
+        i = end;
+      } else if (ch === '}' && inSpec) {
+        break;
+      } else if (ch === '}' && text[i + 1] === '}') {
+        literal += '}';
+        i += 2;
+      } else if (ch === '}') {
+        throw this.error(ERROR_CODES.invalidFString, "f-string: single '}' is not allowed", token);
+      } else {
+        literal += ch;
+        i++;
+      }
+    }
+    
+    if (inSpec && i >= text.length) {
+      throw this.error(ERROR_CODES.invalidFString, "f-string: expecting '}'", token);
+    }
+    if (literal) parts.push(literal);
+    return { parts, end: i };
+  }
+
+  parseFStringField(token, text, start) {
+    let depth = 0;
+    let quote = null;
+    let i = start;
+    
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[' || ch === '{') {
+        depth++;
+      } else if (depth > 0 && (ch === ')' || ch === ']' || ch === '}')) {
+        depth--;
+      } else if (depth === 0 && (ch === '}' || ch === ':' || (ch === '!' && text[i + 1] !== '='))) {
+        break;
+      }
+    }
+    
+    const source = text.slice(start, i);
+    // `{value=}` prints the expression text before its value.
+    const debug = /^([\s\S]*?[^=!<>])=\s*$/.exec(source);
+    const expression = this.parseFStringExpression(token, debug ? debug[1] : source);
+    let conversion = null;
+    let spec = null;
+    
+    if (text[i] === '!') {
+      conversion = text[i + 1];
+      if (!conversion || !'rsa'.includes(conversion)) {
+        throw this.error(ERROR_CODES.invalidFString, "f-string: invalid conversion character, expected 's', 'r', or 'a'", token);
+      }
+      i += 2;
+    }
+    if (text[i] === ':') {
+      const result = this.parseFStringParts(token, text, i + 1, true);
+      spec = result.parts;
+      i = result.end;
+    }
+    if (text[i] !== '}') {
+      throw this.error(ERROR_CODES.invalidFString, "f-string: expecting '}'", token);
+    }
+    
+    return { field: { expression, conversion, spec, debug: debug ? source : null }, end: i + 1 };
+  }
+
+  parseFStringExpression(token, source) {
+    if (!source.trim()) {
+      throw this.error(ERROR_CODES.invalidFString, "f-string: valid expression required before '}'", token);
+    }
+    
+    const lexer = new Lexer(`(${source})`);
+    const parser = new Parser(lexer.tokenize());
+    let expression;
+    try {
+      expression = parser.parseExpression();
+    } catch (error) {
+      if (!(error instanceof IndentScriptError)) throw error;
+    }
+    if (!expression || lexer.errors.length > 0 || (parser.peek().type !== 'NEWLINE' && parser.peek().type !== 'EOF')) {
+      throw this.error(ERROR_CODES.invalidFString, `f-string: invalid expression '${source.trim()}'`, token);
+    }
+    return expression;
+  }
+
+  parseKeywordPrimary(token) {
+    switch (token.value) {
+      case 'None':
+        this.advance();
+        return { type: 'NoneLiteral' };
+      case 'True':
+      case 'False':
+        this.advance();
+        return { type: 'BooleanLiteral', value: token.value === 'True' };
+      case 'this':
+        this.advance();
+        return { type: 'ThisExpression' };
+      case 'super':
+        this.advance();
+        return { type: 'SuperExpression' };
+      case 'lambda':
+        return this.parseLambda();
+      case 'new': {
+        this.advance();
+        let callee = this.parsePrimary();
+        while (this.isPunctuation('.')) {
+          this.advance();
+          callee = { type: 'MemberExpression', object: callee, property: this.advance().value, optional: false };
+        }
+        let args = [];
+        if (this.isBracket('(')) {
+          this.advance();
+          args = this.parseArguments();
+          this.expect('BRACKET', ')');
+        }
+        return { type: 'NewExpression', callee, arguments: args };
+      }
+    }
+    
+    if (SOFT_KEYWORDS.includes(token.value)) {
+      if (this.isArrowFunction()) return this.parseArrowFunction();
+      this.advance();
+      return { type: 'Identifier', name: token.value };
+    }
+    
+    throw this.error(ERROR_CODES.unexpectedToken, `Unexpected keyword '${token.value}'`, token);
+  }
+
+  parseList() {
+    this.advance();
+    
+    let first = null;
+    if (!this.isBracket(']') && !this.isOperator('*')) {
+      first = this.parseExpression();
+      if (this.isKeyword('for')) {
+        return this.parseComprehension('list', { element: first }, ']');
+      }
+    }
+    
+    return { type: 'ListExpression', elements: this.parseSequence(']', first).elements };
+  }
+
+  parseParenthesized() {
+    if (this.isArrowFunction()) {
+      return this.parseArrowFunction();
+    }
+    
+    this.advance();
+    
+    if (this.isBracket(')')) {
+      this.advance();
+      return { type: 'TupleExpression', elements: [] };
+    }
+    
+    if (this.isKeyword('yield')) {
+      const expr = this.parseYield();
+      this.expect('BRACKET', ')');
+      return expr;
+    }
+    
+    const first = this.parseExpression();
+    
+    if (this.isBracket(')')) {
+      this.advance();
+      return first;
+    }
+    
+    if (this.isKeyword('for')) {
+      return this.parseComprehension('generator', { element: first }, ')');
+    }
+    
+    this.expect('PUNCTUATION', ',');
+    const rest = this.parseSequence(')');
+    return { type: 'TupleExpression', elements: [first].concat(rest.elements) };
+  }
+
+  parseBraces() {
+    this.advance();
+    
+    if (this.isBracket('}')) {
+      this.advance();
+      return { type: 'DictExpression', entries: [] };
+    }
+    
+    const entries = [];
+    let isSet = null;
+    
+    while (!this.isBracket('}') && this.peek().type !== 'EOF') {
+      if (this.isOperator('**')) {
+        this.advance();
+        entries.push({ spread: this.parseExpression() });
+        isSet = false;
+      } else {
+        const key = this.parseExpression();
+        
+        if (isSet !== true && this.isPunctuation(':')) {
+          this.advance();
+          const value = this.parseExpression();
+          if (entries.length === 0 && this.isKeyword('for')) {
+            return this.parseComprehension('dict', { key, value }, '}');
+          }
+          entries.push({ key, value });
+          isSet = false;
+        } else if (entries.length === 0 && this.isKeyword('for')) {
+          return this.parseComprehension('set', { element: key }, '}');
+        } else if (isSet === false) {
+          this.expect('PUNCTUATION', ':');
+        } else {
+          entries.push({ value: key });
+          isSet = true;
+        }
+      }
+      
+      if (this.isPunctuation(',')) {
+        this.advance();
+      } else {
+        break;
+      }
+    }
+    
+    this.expect('BRACKET', '}');
+    
+    if (isSet) {
+      return { type: 'SetExpression', elements: entries.map(entry => entry.value) };
+    }
+    return { type: 'DictExpression', entries };
+  }
+}
+
+/**
+ * Works out where each local variable is declared. Python binds a name for
+ * the whole function the first time it is assigned; JavaScript needs a
+ * single let/const in a block that encloses every use. The analyzer records
+ * every reference to a local together with the chain of blocks leading to
+ * it, then declares the name in the innermost block shared by all of them:
+ * inline when the first use is a plain assignment (or the for/with that
+ * binds it), otherwise as a `let` hoisted in front of that first use.
+ */
+class ScopeAnalyzer {
+  analyze(program) {
+    const moduleScope = this.analyzeScope(program.body, [], true);
+    this.moduleBindings = new Set([...moduleScope.locals, ...moduleScope.declared]);
+    return program;
+  }
+
+  analyzeScope(body, params, isModule = false) {
+    const scope = {
+      isModule,
+      declared: new Set(params),
+      globals: new Set(),
+      nonlocals: new Set(),
+      bindings: new Map(),
+      references: new Map(),
+      loopBodies: new Set(),
+      nestedGlobals: new Set(),
+      assignedGlobals: new Set(),
+      functions: new Map(),
+      calls: [],
+      path: [],
+      body
+    };
+    
+    const previous = this.scope;
+    this.scope = scope;
+    this.visitBlock(body);
+    this.scope = previous;
+    
+    return this.resolveScope(scope);
+  }
+
+  analyzeNested(body, params) {
+    const names = params.map(p => p.name);
+    
+    for (const param of params) {
+      if (param.defaultValue) this.visitExpression(param.defaultValue, true);
+    }
+    
+    const nested = this.analyzeScope(body, names);
+    
+    for (const name of nested.free) {
+      this.addReference(name, true);
+    }
+    for (const name of nested.nonlocalAssigned) {
+      this.addBinding(name, null, 'closure');
+    }
+    this.scope.calls.push(...nested.calls);
+    for (const name of nested.globalAssigned) {
+      if (this.scope.isModule) {
+        this.addBinding(name, null, 'closure');
+        this.scope.assignedGlobals.add(name);
+      } else {
+        this.scope.nestedGlobals.add(name);
+      }
+    }
+  }
+
+  addReference(name, closure = false) {
+    const scope = this.scope;
+    if (!scope.references.has(name)) scope.references.set(name, []);
+    scope.references.get(name).push({ path: scope.path.slice(), closure });
+  }
+
+  addBinding(name, node, kind) {
+    const scope = this.scope;
+    if (!scope.bindings.has(name)) scope.bindings.set(name, []);
+    scope.bindings.get(name).push({ node, kind });
+    this.addReference(name, kind === 'closure');
+  }
+
+  visitBlock(block, isLoopBody = false) {
+    const scope = this.scope;
+    if (isLoopBody) scope.loopBodies.add(block);
+    
+    block.forEach((stmt, index) => {
+      scope.path.push({ block, index });
+      this.visitStatement(stmt);
+      scope.path.pop();
+    });
+  }
+
+  visitStatement(node) {
+    if (!node) return;
+    
+    switch (node.type) {
+      case 'AssignmentStatement':
+        this.visitExpression(node.value);
+        for (const target of node.targets) {
+          this.visitTarget(target, node, node.operator === '=' ? 'assign' : 'augmented');
+        }
+        break;
+      case 'VariableDeclaration':
+        if (node.value) this.visitExpression(node.value);
+        for (const name of targetNames(node.target)) {
+          this.scope.declared.add(name);
+        }
+        break;
+      case 'FunctionDeclaration':
+        this.visitExpression(node.decorators);
+        this.declareDefinition(node);
+        this.scope.functions.set(node.name, this.scope.functions.has(node.name) || node.decorators ? null : node);
+        this.analyzeNested(node.body, node.params);
+        break;
+      case 'ClassDeclaration':
+        this.visitExpression(node.decorators);
+        this.declareDefinition(node);
+        this.scope.functions.set(node.name, this.scope.functions.has(node.name) ? null : node);
+        if (node.superClass) this.addReference(node.superClass);
+        for (const prop of node.properties) {
+          this.visitExpression(prop, true);
+        }
+        for (const method of node.methods) {
+          this.visitExpression(method.decorators, true);
+          this.analyzeNested(method.body, method.params);
+        }
+        break;
+      case 'ForInLoop':
+        this.visitExpression(node.iterable);
+        for (const name of targetNames(node.target)) {
+          this.addBinding(name, node, 'for');
+        }
+        this.visitBlock(node.body, true);
+        if (node.elseBlock) this.visitBlock(node.elseBlock);
+        break;
+      case 'WhileLoop':
+        this.visitExpression(node.condition);
+        this.visitBlock(node.body, true);
+        if (node.elseBlock) this.visitBlock(node.elseBlock);
+        break;
+      case 'IfStatement':
+        this.visitExpression(node.condition);
+        this.visitBlock(node.consequent);
+        if (Array.isArray(node.alternate)) {
+          this.visitBlock(node.alternate);
+        } else {
+          this.visitStatement(node.alternate);
+        }
+        break;
+      case 'TryStatement':
+        this.visitBlock(node.tryBlock);
+        for (const handler of node.handlers) {
+          if (handler.errorType) this.visitExpression(handler.errorType);
+          this.visitBlock(handler.body);
+        }
+        if (node.elseBlock) this.visitBlock(node.elseBlock);
+        if (node.finallyBlock) this.visitBlock(node.finallyBlock);
+        break;
+      case 'WithStatement':
+        for (const item of node.items) {
+          this.visitExpression(item.context);
+          if (item.alias) this.addBinding(item.alias, node, 'with');
+        }
+        this.visitBlock(node.body);
+        break;
+      case 'MatchStatement':
+        this.visitExpression(node.subject);
+        for (const matchCase of node.cases) {
+          this.visitPattern(matchCase.pattern, node);
+          this.visitExpression(matchCase.guard);
+          this.visitBlock(matchCase.body);
+        }
+        break;
+      case 'ImportStatement':
+        for (const m of node.modules) {
+          if (m.alias || isIdentifierName(m.module)) this.scope.declared.add(m.alias || m.module);
+        }
+        break;
+      case 'FromImportStatement':
+        for (const i of node.imports) {
+          const name = i.alias || i.name;
+          this.scope.declared.add(name);
+          // Imported classes are called like IndentScript classes.
+          if (/^[A-Z]/.test(name) && !TYPING_MODULES.includes(node.module)) {
+            this.scope.functions.set(name, this.scope.functions.has(name) ? null : { type: 'ImportedClass', name });
+          }
+        }
+        break;
+      case 'GlobalStatement':
+        node.variables.forEach(name => this.scope.globals.add(name));
+        break;
+      case 'DeleteStatement':
+        node.targets.forEach(target => this.visitTarget(target, node, 'delete'));
+        break;
+      case 'AnnotationStatement':
+        if (node.target.type !== 'Identifier') this.visitExpression(node.target);
+        break;
+      case 'NonlocalStatement':
+        node.variables.forEach(name => this.scope.nonlocals.add(name));
+        break;
+      case 'ExportStatement':
+        this.visitStatement(node.declaration);
+        break;
+      default:
+        this.visitExpression(node);
+    }
+  }
+
+  // A def or class at the top of a function or module is a declaration. One
+  // inside an if, loop or try block binds its name like an assignment, since
+  // JavaScript scopes declarations to the block.
+  declareDefinition(node) {
+    if (this.scope.path.length > 1) {
+      node.assigned = true;
+      this.addBinding(node.name, node, 'def');
+    } else {
+      this.scope.declared.add(node.name);
+    }
+  }
+
+  visitTarget(target, node, kind) {
+    if (target.type === 'Identifier') {
+      this.addBinding(target.name, node, kind);
+    } else if (target.type === 'ListExpression' || target.type === 'TupleExpression') {
+      target.elements.forEach(element => this.visitTarget(element, node, kind));
+    } else if (target.type === 'SpreadElement') {
+      this.visitTarget(target.argument, node, kind);
+    } else {
+      this.visitExpression(target);
+    }
+  }
+
+  visitPattern(pattern, node) {
+    switch (pattern.type) {
+      case 'ValuePattern':
+        this.visitExpression(pattern.value);
+        break;
+      case 'ClassPattern':
+        this.visitExpression(pattern.cls);
+        pattern.positional.forEach(element => this.visitPattern(element, node));
+        pattern.keywords.forEach(keyword => this.visitPattern(keyword.pattern, node));
+        break;
+      case 'SequencePattern':
+        pattern.elements.forEach(element => this.visitPattern(element, node));
+        break;
+      case 'MappingPattern':
+        for (const entry of pattern.entries) {
+          this.visitExpression(entry.key);
+          this.visitPattern(entry.pattern, node);
+        }
+        if (pattern.rest) this.addBinding(pattern.rest, node, 'assign');
+        break;
+      case 'OrPattern':
+        pattern.alternatives.forEach(alternative => this.visitPattern(alternative, node));
+        break;
+      case 'AsPattern':
+        this.visitPattern(pattern.pattern, node);
+        this.addBinding(pattern.name, node, 'assign');
+        break;
+      case 'CapturePattern':
+      case 'StarPattern':
+        if (pattern.name) this.addBinding(pattern.name, node, 'assign');
+        break;
+    }
+  }
+
+  visitExpression(node, closure = false) {
+    if (!node || typeof node !== 'object') return;
+    
+    if (Array.isArray(node)) {
+      node.forEach(child => this.visitExpression(child, closure));
+      return;
+    }
+    
+    if (node.type === 'Identifier') {
+      this.addReference(node.name, closure);
+      return;
+    }
+    
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      this.scope.calls.push(node);
+    }
+    
+    if (node.type === 'LambdaExpression') {
+      this.analyzeNested([{ type: 'ReturnStatement', value: node.body }], node.params);
+      return;
+    }
+    
+    if (node.type === 'ComprehensionExpression') {
+      // Only the first iterable is evaluated in the enclosing scope; the loop
+      // variables belong to the comprehension.
+      const [first, ...rest] = node.clauses;
+      this.visitExpression(first.iterable, closure);
+      
+      const params = [];
+      node.clauses.forEach(clause => {
+        if (clause.type === 'for') targetNames(clause.target).forEach(name => params.push({ name }));
+      });
+      const parts = [node.element, node.key, node.value].concat(rest).filter(Boolean);
+      this.analyzeNested([{ type: 'ExpressionStatement', expression: parts }], params);
+      return;
+    }
+    
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (value && typeof value === 'object') {
+        this.visitExpression(value, closure);
+      }
+    }
+  }
+
+  resolveScope(scope) {
+    const locals = new Set();
+    const sites = new Map();
+    
+    for (const name of scope.bindings.keys()) {
+      if (scope.declared.has(name) || scope.globals.has(name) || scope.nonlocals.has(name)) continue;
+      locals.add(name);
+      // A function may assign it through `global` before any module code
+      // mentions it, so it is declared ahead of the first statement.
+      sites.set(name, scope.assignedGlobals.has(name)
+        ? { inline: false, hoistBefore: scope.body[0] }
+        : this.declarationSite(scope, name));
+    }
+    
+    for (const [name, site] of sites) {
+      if (site.inline && !this.canDeclareInline(site.statement, sites)) {
+        site.inline = false;
+      }
+    }
+    
+    for (const [name, site] of sites) {
+      if (site.inline) {
+        const statement = site.statement;
+        if (statement.declaration !== 'let') {
+          statement.declaration = site.kind;
+        }
+      } else {
+        const statement = site.hoistBefore;
+        statement.hoisted = (statement.hoisted || []).concat(name);
+      }
+    }
+    
+    const free = new Set();
+    for (const name of scope.references.keys()) {
+      if (!locals.has(name) && !scope.declared.has(name) && !scope.globals.has(name)) {
+        free.add(name);
+      }
+    }
+    
+    // Calls to a function declared once in this scope and never rebound can
+    // have their keyword arguments resolved at compile time.
+    const calls = [];
+    for (const call of scope.calls) {
+      const name = call.callee.name;
+      const fn = scope.functions.get(name);
+      if (fn && (scope.bindings.get(name) || []).every(binding => binding.node === fn)) {
+        call.resolved = fn;
+      } else if (free.has(name)) {
+        calls.push(call);
+      }
+    }
+    
+    const nonlocalAssigned = new Set();
+    for (const name of scope.nonlocals) {
+      if (scope.bindings.has(name)) nonlocalAssigned.add(name);
+    }
+    
+    const globalAssigned = new Set(scope.nestedGlobals);
+    for (const name of scope.globals) {
+      if (scope.bindings.has(name)) globalAssigned.add(name);
+    }
+    
+    return { free, nonlocalAssigned, globalAssigned, locals, declared: scope.declared, calls };
+  }
+
+  declarationSite(scope, name) {
+    const refs = scope.references.get(name);
+    const bindings = scope.bindings.get(name);
+    let depth = 0;
+    
+    while (true) {
+      const index = refs[0].path[depth].index;
+      const next = refs[0].path[depth + 1];
+      const shared = next && refs.every(ref =>
+        ref.path[depth].index === index && ref.path[depth + 1] && ref.path[depth + 1].block === next.block);
+      if (!shared) break;
+      depth++;
+    }
+    
+    const direct = refs.filter(ref => !ref.closure);
+    const firstIndex = Math.min.apply(null, (direct.length > 0 ? direct : refs).map(ref => ref.path[depth].index));
+    const block = refs[0].path[depth].block;
+    const first = block[firstIndex];
+    const statement = first.type === 'ExportStatement' ? first.declaration : first;
+    const allInside = refs.every(ref => ref.path[depth].index === firstIndex);
+    const bindsHere = bindings.some(binding => binding.node === statement);
+    
+    let inline = false;
+    if (bindsHere) {
+      if (statement.type === 'AssignmentStatement') {
+        inline = statement.operator === '=' && statement.targets.length === 1;
+      } else if (statement.type === 'ForInLoop' || statement.type === 'WithStatement') {
+        inline = allInside;
+      }
+    }
+    
+    const reassigned = bindings.some(binding => binding.node !== statement);
+    const kind = reassigned || bindings.length > 1 ? 'let' : 'const';
+    
+    // A declaration hoisted into a loop body would be reset on every
+    // iteration, so it moves out to the block holding the outermost loop.
+    let hoistDepth = depth;
+    let hoistIndex = firstIndex;
+    const path = refs[0].path;
+    for (let d = 1; d <= depth; d++) {
+      if (scope.loopBodies.has(path[d].block)) {
+        hoistDepth = d - 1;
+        hoistIndex = path[d - 1].index;
+        break;
+      }
+    }
+    
+    return { inline, statement, kind, hoistBefore: path[hoistDepth].block[hoistIndex] };
+  }
+
+  canDeclareInline(statement, sites) {
+    let names;
+    if (statement.type === 'ForInLoop') {
+      names = targetNames(statement.target);
+    } else if (statement.type === 'WithStatement') {
+      names = statement.items.filter(item => item.alias).map(item => item.alias);
+    } else if (statement.type === 'AssignmentStatement') {
+      names = targetNames(statement.targets[0]);
+    } else {
+      return true;
+    }
+    
+    if (statement.type === 'AssignmentStatement' && !isBindingTarget(statement.targets[0])) return false;
+    
+    return names.every(name => {
+      const site = sites.get(name);
+      return site && site.inline && site.statement === statement;
+    });
+  }
+}
+
+// `x is None` also matches undefined, so missing properties and arguments
+// count as None.
+function comparisonOperator(operator, left, right) {
+  if ((operator === 'is' || operator === 'is not') && (left.type === 'NoneLiteral' || right.type === 'NoneLiteral')) {
+    return operator === 'is' ? '==' : '!=';
+  }
+  return JS_COMPARISON_OPERATORS[operator] || operator;
+}
+
+// Operands that can be evaluated twice without side effects.
+function isSimpleOperand(node) {
+  switch (node.type) {
+    case 'Identifier':
+    case 'NumberLiteral':
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+    case 'NoneLiteral':
+    case 'ThisExpression':
+      return true;
+    case 'MemberExpression':
+      return isSimpleOperand(node.object);
+    default:
+      return false;
+  }
+}
+
+// Expressions whose value cannot have an `__eq__` method: literals, and
+// operators and builtins that return numbers, strings or booleans.
+const PRIMITIVE_BUILTINS = ['len', 'str', 'repr', 'int', 'float', 'bool'];
+
+function isPrimitive(node, isBuiltin) {
+  switch (node.type) {
+    case 'NumberLiteral':
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+    case 'FStringLiteral':
+    case 'BinaryExpression':
+    case 'UnaryExpression':
+    case 'CompareExpression':
+      return true;
+    case 'CallExpression':
+      return node.callee.type === 'Identifier' && PRIMITIVE_BUILTINS.includes(node.callee.name) && isBuiltin(node.callee.name);
+    default:
+      return false;
+  }
+}
+
+// The builtin decorators that change how a method is defined rather than
+// wrapping it: @staticmethod, @classmethod, @property, @name.setter and
+// @name.deleter.
+function methodDecoratorKind(decorator, name) {
+  if (decorator.type === 'Identifier' && ['staticmethod', 'classmethod', 'property'].includes(decorator.name)) {
+    return decorator.name;
+  }
+  if (decorator.type === 'MemberExpression' && decorator.object.type === 'Identifier' &&
+      decorator.object.name === name && ['setter', 'deleter'].includes(decorator.property)) {
+    return decorator.property;
+  }
+  return null;
+}
+
+// Signatures with defaults, keyword-only or positional-only parameters, or
+// **kwargs make even a lambda bind keyword arguments at runtime.
+function acceptsKeywords(params) {
+  return params.some(p => p.defaultValue || p.keywordOnly || p.positionalOnly || p.spread === 'dict');
+}
+
+// Signatures JavaScript can express as they are: no keyword-only or
+// positional-only parameters and no **kwargs.
+function isNativeSignature(params) {
+  return params.every(p => !p.keywordOnly && !p.positionalOnly && p.spread !== 'dict');
+}
+
+// The signature a resolved call is bound against. Calling a class binds the
+// parameters of its __init__ after the instance.
+function callSignature(resolved) {
+  if (!resolved || resolved.type === 'ImportedClass') return null;
+  if (resolved.type !== 'ClassDeclaration') return resolved;
+  if (resolved.decorators) return null;
+  const init = resolved.methods.find(method => method.name === '__init__');
+  if (!init) return resolved.superClass ? null : { name: resolved.name, params: [] };
+  return { name: resolved.name, params: init.params.slice(1) };
+}
+
+// Index of a starred element that is not the last one in a tuple target.
+function middleStarIndex(target) {
+  if (target.type !== 'TupleExpression' && target.type !== 'ListExpression') return -1;
+  const index = target.elements.findIndex(element => element.type === 'SpreadElement');
+  return index === target.elements.length - 1 ? -1 : index;
+}
+
+function isSliceSubscript(node) {
+  return node.type === 'SubscriptExpression' && node.index.type === 'SliceExpression';
+}
+
+// The magnitude of a literal negative index such as the -1 in `xs[-1]`.
+function negativeIndex(index) {
+  if (index.type === 'UnaryExpression' && index.operator === '-' && index.argument.type === 'NumberLiteral') {
+    return index.argument.value;
+  }
+  return null;
+}
+
+function isRangeLoop(node) {
+  const iterable = node.iterable;
+  return node.target.type === 'Identifier' && !node.isAsync && iterable.type === 'CallExpression' &&
+    iterable.callee.type === 'Identifier' && iterable.callee.name === 'range' &&
+    iterable.arguments.length >= 1 && iterable.arguments.length <= 3 &&
+    iterable.arguments.every(arg => !['SpreadElement', 'KeywordArgument', 'KeywordSpread'].includes(arg.type));
+}
+
+// The sign of a numeric literal, or null for anything else.
+function numericValue(node) {
+  const value = node.type === 'NumberLiteral' ? Number(node.value) :
+    node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'NumberLiteral' ? -Number(node.argument.value) : NaN;
+  return Number.isNaN(value) ? null : value;
+}
+
+function numericSign(node) {
+  const value = numericValue(node);
+  return value === null ? null : Math.sign(value);
+}
+
+function containsAwait(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsAwait);
+  if (node.type === 'AwaitExpression') return true;
+  if (node.type === 'LambdaExpression') return false;
+  return Object.keys(node).some(key => containsAwait(node[key]));
+}
+
+// Whether a function body yields, not counting nested functions.
+function containsYield(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsYield);
+  if (node.type === 'YieldExpression') return true;
+  if (['FunctionDeclaration', 'ClassDeclaration', 'LambdaExpression'].includes(node.type)) return false;
+  return Object.keys(node).some(key => containsYield(node[key]));
+}
+
+// Whether a handler calls anything, and so might reach a bare `raise`.
+function containsCall(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsCall);
+  if (node.type === 'CallExpression' || node.type === 'NewExpression') return true;
+  if (['FunctionDeclaration', 'ClassDeclaration', 'LambdaExpression'].includes(node.type)) return false;
+  return Object.keys(node).some(key => containsCall(node[key]));
+}
+
+function isSuperCall(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'SuperExpression';
+}
+
+// Whether a constructor calls `super().__init__(...)` itself.
+function callsSuperInit(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(callsSuperInit);
+  if (node.type === 'MemberExpression' && node.property === '__init__' && isSuperCall(node.object)) return true;
+  if (['FunctionDeclaration', 'ClassDeclaration', 'LambdaExpression'].includes(node.type)) return false;
+  return Object.keys(node).some(key => callsSuperInit(node[key]));
+}
+
+function isDunderName(name) {
+  return /^__\w+__$/.test(name);
+}
+
+// Names bound directly in a class body, which become attributes of the class.
+// Names a class body binds, including inside its if, for, while, with, try
+// and match blocks; they all become class attributes.
+function classAttributeNames(node) {
+  const names = new Set();
+  const visit = statements => {
+    for (const statement of statements) {
+      switch (statement.type) {
+        case 'AssignmentStatement':
+          statement.targets.forEach(target => targetNames(target).forEach(name => names.add(name)));
+          break;
+        case 'ClassDeclaration':
+          names.add(statement.name);
+          break;
+        case 'ForInLoop':
+          targetNames(statement.target).forEach(name => names.add(name));
+          visit(statement.body);
+          visit(statement.elseBlock || []);
+          break;
+        case 'WhileLoop':
+          visit(statement.body);
+          visit(statement.elseBlock || []);
+          break;
+        case 'IfStatement':
+          visit(statement.consequent);
+          if (statement.alternate) visit(Array.isArray(statement.alternate) ? statement.alternate : [statement.alternate]);
+          break;
+        case 'WithStatement':
+          statement.items.forEach(item => item.alias && names.add(item.alias));
+          visit(statement.body);
+          break;
+        case 'TryStatement':
+          visit(statement.tryBlock);
+          statement.handlers.forEach(handler => visit(handler.body));
+          visit(statement.elseBlock || []);
+          visit(statement.finallyBlock || []);
+          break;
+        case 'MatchStatement':
+          statement.cases.forEach(matchCase => visit(matchCase.body));
+          break;
+      }
+    }
+  };
+  visit(node.properties);
+  return Array.from(names);
+}
+
+function isIdentifierName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+// Every name-like string in the tree, so generated names can avoid them.
+function collectNames(node, names = new Set()) {
+  if (typeof node === 'string') {
+    if (isIdentifierName(node)) names.add(node);
+  } else if (node && typeof node === 'object') {
+    for (const key of Object.keys(node)) collectNames(node[key], names);
+  }
+  return names;
+}
+
+// Whether a def or class nested in `body` mentions `name`. Those get a
+// `this` of their own, so a method aliases its receiver for them.
+function closesOver(body, name) {
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.some(visit);
+    if (!node || typeof node !== 'object') return false;
+    if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') {
+      return collectNames(node).has(name);
+    }
+    return Object.keys(node).some((key) => visit(node[key]));
+  };
+  return visit(body);
+}
+
+// `"..." % values` on a string literal is printf-style formatting.
+function isStringFormat(node) {
+  return node.operator === '%' && (node.left.type === 'StringLiteral' || node.left.type === 'FStringLiteral');
+}
+
+function escapeTemplate(text) {
+  return text.replace(/\\|`|\$\{/g, match => '\\' + match).replace(/\r/g, '\\r');
+}
+
+function patternNames(pattern) {
+  switch (pattern.type) {
+    case 'CapturePattern':
+    case 'StarPattern':
+      return pattern.name ? [pattern.name] : [];
+    case 'AsPattern':
+      return patternNames(pattern.pattern).concat(pattern.name);
+    case 'OrPattern':
+      return patternNames(pattern.alternatives[0]);
+    case 'SequencePattern':
+      return pattern.elements.reduce((names, element) => names.concat(patternNames(element)), []);
+    case 'MappingPattern':
+      return pattern.entries.reduce((names, entry) => names.concat(patternNames(entry.pattern)),
+        pattern.rest ? [pattern.rest] : []);
+    case 'ClassPattern':
+      return pattern.positional.concat(pattern.keywords.map(keyword => keyword.pattern))
+        .reduce((names, element) => names.concat(patternNames(element)), []);
+    default:
+      return [];
+  }
+}
+
+function isIrrefutablePattern(pattern) {
+  switch (pattern.type) {
+    case 'WildcardPattern':
+    case 'CapturePattern':
+      return true;
+    case 'AsPattern':
+      return isIrrefutablePattern(pattern.pattern);
+    case 'OrPattern':
+      return pattern.alternatives.some(isIrrefutablePattern);
+    default:
+      return false;
+  }
+}
+
+function targetNames(target) {
+  if (!target) return [];
+  if (target.type === 'Identifier') return [target.name];
+  if (target.type === 'ListExpression' || target.type === 'TupleExpression') {
+    return target.elements.reduce((names, element) => names.concat(targetNames(element)), []);
+  }
+  if (target.type === 'SpreadElement') return targetNames(target.argument);
+  return [];
+}
+
+function isBindingTarget(target) {
+  if (target.type === 'Identifier') return true;
+  if (target.type === 'ListExpression' || target.type === 'TupleExpression') {
+    return target.elements.every(isBindingTarget);
+  }
+  if (target.type === 'SpreadElement') return isBindingTarget(target.argument);
+  return false;
+}
+
+const SOURCE_MARKER_START = '\uE000';
+const SOURCE_MARKER_END = '\uE001';
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const TARGETS = ['es2015', 'es2016', 'es2017', 'es2018', 'es2019', 'es2020', 'es2021', 'es2022', 'esnext'];
+
+const FEATURE_TARGETS = {
+  exponent: 'es2016',
+  asyncFunctions: 'es2017',
+  trimStartEnd: 'es2019',
+  asyncGenerators: 'es2018',
+  optionalChaining: 'es2020',
+  nullishCoalescing: 'es2020',
+  classFields: 'es2022'
+};
+
+const MODULE_FORMATS = ['esm', 'commonjs'];
+
+const PRECEDENCE = {
+  assignment: 2,
+  or: 3,
+  and: 4,
+  bitwiseOr: 5,
+  bitwiseXor: 6,
+  bitwiseAnd: 7,
+  equality: 8,
+  relational: 9,
+  shift: 10,
+  additive: 11,
+  multiplicative: 12,
+  exponent: 13,
+  unary: 14,
+  postfix: 15,
+  call: 17,
+  primary: 18
+};
+
+const BINARY_PRECEDENCE = {
+  '|': PRECEDENCE.bitwiseOr,
+  '^': PRECEDENCE.bitwiseXor,
+  '&': PRECEDENCE.bitwiseAnd,
+  '==': PRECEDENCE.equality,
+  '!=': PRECEDENCE.equality,
+  '===': PRECEDENCE.equality,
+  '!==': PRECEDENCE.equality,
+  '<': PRECEDENCE.relational,
+  '>': PRECEDENCE.relational,
+  '<=': PRECEDENCE.relational,
+  '>=': PRECEDENCE.relational,
+  'in': PRECEDENCE.relational,
+  'instanceof': PRECEDENCE.relational,
+  '<<': PRECEDENCE.shift,
+  '>>': PRECEDENCE.shift,
+  '>>>': PRECEDENCE.shift,
+  '+': PRECEDENCE.additive,
+  '-': PRECEDENCE.additive,
+  '*': PRECEDENCE.multiplicative,
+  '/': PRECEDENCE.multiplicative,
+  '%': PRECEDENCE.multiplicative,
+  '**': PRECEDENCE.exponent
+};
+
+const JS_COMPARISON_OPERATORS = {
+  'is': '===',
+  'is not': '!=='
+};
+
+// Literal containers whose membership test can use `.includes` directly.
+const INCLUDES_CONTAINERS = ['ListExpression', 'TupleExpression', 'StringLiteral'];
+
+// Class patterns for these match the subject itself positionally.
+const SELF_MATCHING_TYPES = ['bool', 'dict', 'float', 'int', 'list', 'set', 'str'];
+
+// Imported only for annotations, which are not part of the output.
+const TYPING_MODULES = ['__future__', 'typing', 'typing_extensions'];
+
+const PYTHON_METHODS = {
+  'append': 'push',
+  'extend': 'push',
+  'upper': 'toUpperCase',
+  'lower': 'toLowerCase',
+  'strip': 'trim',
+  'lstrip': 'trimStart',
+  'rstrip': 'trimEnd',
+  'startswith': 'startsWith',
+  'endswith': 'endsWith',
+  'find': 'indexOf',
+  'index': 'indexOf'
+};
+
+// Dict methods that return a list of keys, values or [key, value] pairs.
+const DICT_VIEWS = ['items', 'keys', 'values'];
+
+// Builtins returning something for...of can walk as it is.
+const ITERABLE_BUILTINS = ['enumerate', 'zip', 'reversed', 'sorted', 'list', 'set', 'range'];
+
+const CATCH_ALL_EXCEPTIONS = ['BaseException', 'Exception'];
+
+// The builtins and helpers of runtime.js, keyed by name in declaration order.
+// A helper's code is its source followed by the functions assigned to it,
+// such as the `__instancecheck__` of a type.
+function loadRuntime() {
+  const helpers = {};
+  for (const [name, value] of Object.entries(runtime.helpers)) {
+    const source = value.toString();
+    const properties = Object.keys(value).map(key => `${name}.${key} = ${value[key]};`);
+    helpers[name] = {
+      code: [source, ...properties].join('\n'),
+      requires: runtime.requires[name] || [],
+      isClass: source.startsWith('class '),
+      internal: name.startsWith('__')
+    };
+  }
+  return helpers;
+}
+
+const HELPERS = loadRuntime();
+
+// Source of a module exporting every helper, for code compiled with the
+// `runtime` option.
+function generateRuntime(moduleFormat = 'esm') {
+  const names = Object.keys(HELPERS);
+  const code = names.map(name => HELPERS[name].code + '\n').join('');
+  if (moduleFormat === 'commonjs') {
+    return `'use strict';\n\n${code}\nmodule.exports = { ${names.join(', ')} };\n`;
+  }
+  return `${code}\nexport { ${names.join(', ')} };\n`;
+}
+
+function isClassName(node) {
+  const name = node.type === 'Identifier' ? node.name : node.type === 'MemberExpression' ? node.property : '';
+  return /^[A-Z]/.test(name);
+}
+
+class CodeGenerator {
+  constructor(ast, options = {}) {
+    this.ast = ast;
+    this.options = options;
+    this.target = options.target || 'esnext';
+    this.moduleFormat = options.module || 'esm';
+    this.indentLevel = 0;
+    this.locations = [];
+    this.mappings = [];
+    this.diagnostics = [];
+    this.helpers = new Map();
+    this.tempNames = new Map();
+    this.usedNames = new Set();
+    this.handlerStack = [];
+    this.loopFlags = [];
+    this.moduleBindings = new Set();
+    this.currentStatement = null;
+    this.statementTemps = [];
+    this.classAttributes = null;
+    this.instanceName = null;
+    this.classParameter = null;
+    this.constructorResult = null;
+    this.yieldScope = null;
+  }
+
+  useHelper(name, binding = name) {
+    if (!this.helpers.has(name)) {
+      this.helpers.set(name, new Set());
+    }
+    this.helpers.get(name).add(binding);
+    return binding;
+  }
+  
+  // A builtin under a private alias, for generated code that must not pick up
+  // a binding of the same name in the user's code.
+  builtin(name) {
+    return this.useHelper(name, `__${name}`);
+  }
+
+  isBuiltinHelper(name) {
+    return Object.prototype.hasOwnProperty.call(HELPERS, name) && !HELPERS[name].internal &&
+      !this.moduleBindings.has(name);
+  }
+
+  // Helpers are imported from the module the `runtime` option names (see
+  // generateRuntime) or inlined. Inlined helpers are declared inside a
+  // function, so that they see each other rather than the file's own names,
+  // and only the ones the file uses are bound in its scope.
+  generateHelpers() {
+    if (this.helpers.size === 0) return '';
+    
+    const bindings = [];
+    this.helpers.forEach((aliases, name) => aliases.forEach(alias => bindings.push([name, alias])));
+    const importing = this.options.runtime && this.moduleFormat !== 'commonjs';
+    const names = bindings.map(([name, alias]) => name === alias ? name : importing ? `${name} as ${alias}` : `${name}: ${alias}`).join(', ');
+    if (importing) {
+      return `import { ${names} } from '${this.options.runtime}';\n`;
+    }
+    if (this.options.runtime) {
+      return `const { ${names} } = require('${this.options.runtime}');\n`;
+    }
+    
+    const needed = new Set();
+    const add = name => {
+      if (needed.has(name)) return;
+      needed.add(name);
+      HELPERS[name].requires.forEach(add);
+    };
+    this.helpers.forEach((aliases, name) => add(name));
+    
+    const code = Object.keys(HELPERS).filter(name => needed.has(name))
+      .map(name => HELPERS[name].code.replace(/^(?=.)/gm, '  ') + '\n').join('');
+    return `const { ${names} } = (() => {\n${code}  return { ${Array.from(this.helpers.keys()).join(', ')} };\n})();\n`;
+  }
+
+  tempName(base) {
+    let count = this.tempNames.get(base) || 0;
+    let name;
+    do {
+      count++;
+      name = count === 1 ? `_${base}` : `_${base}${count}`;
+    } while (this.usedNames.has(name));
+    this.tempNames.set(base, count);
+    return name;
+  }
+
+  // `name` itself unless the source already uses it.
+  freshName(name) {
+    return this.usedNames.has(name) ? this.tempName(name) : name;
+  }
+
+  generateBody(statements) {
+    let result = '';
+    this.indentLevel++;
+    
+    for (const stmt of statements) {
+      const code = this.generateStatement(stmt);
+      if (code) result += code + '\n';
+    }
+    
+    this.indentLevel--;
+    return result;
+  }
+
+  supports(feature) {
+    return TARGETS.indexOf(this.target) >= TARGETS.indexOf(FEATURE_TARGETS[feature]);
+  }
+
+  warn(message, node, code = ERROR_CODES.unsupportedFeature) {
+    const location = this.locationOf(node);
+    this.diagnostics.push({ severity: 'warning', code, message, file: null, line: location.line, column: location.col });
+  }
+
+  error(code, message, node) {
+    const location = this.locationOf(node);
+    return new IndentScriptError(message, { code, line: location.line, column: location.col });
+  }
+
+  locationOf(node) {
+    if (node && node.line !== undefined) return node;
+    return this.currentStatement || {};
+  }
+
+  indent() {
+    return '  '.repeat(this.indentLevel);
+  }
+
+  generate() {
+    this.usedNames = collectNames(this.ast);
+    const analyzer = new ScopeAnalyzer();
+    analyzer.analyze(this.ast);
+    this.moduleBindings = analyzer.moduleBindings;
+    
+    const body = this.generateProgram(this.ast);
+    const output = this.generateHelpers() + body;
+    return this.options.sourceMap ? this.extractMappings(output) : output;
+  }
+
+  mark(node) {
+    if (!this.options.sourceMap || !node || node.line === undefined) return '';
+    this.locations.push(node);
+    return SOURCE_MARKER_START + (this.locations.length - 1) + SOURCE_MARKER_END;
+  }
+
+  extractMappings(output) {
+    const pattern = new RegExp(`${SOURCE_MARKER_START}(\\d+)${SOURCE_MARKER_END}`, 'g');
+    let code = '';
+    let line = 0;
+    let column = 0;
+    let last = 0;
+    let match;
+    
+    const append = text => {
+      const lines = text.split('\n');
+      if (lines.length > 1) {
+        line += lines.length - 1;
+        column = lines[lines.length - 1].length;
+      } else {
+        column += text.length;
+      }
+      code += text;
+    };
+    
+    while ((match = pattern.exec(output)) !== null) {
+      append(output.slice(last, match.index));
+      const node = this.locations[Number(match[1])];
+      this.mappings.push({
+        generatedLine: line,
+        generatedColumn: column,
+        originalLine: node.line - 1,
+        originalColumn: node.col - 1
+      });
+      last = pattern.lastIndex;
+    }
+    append(output.slice(last));
+    
+    return code;
+  }
+
+  generateProgram(node) {
+    const lines = [];
+    for (const stmt of node.body) {
+      const code = this.generateStatement(stmt);
+      if (code) lines.push(code);
+    }
+    return lines.join('\n');
+  }
+
+  generateStatement(node) {
+    if (!node) return '';
+    
+    const enclosing = this.currentStatement;
+    const enclosingTemps = this.statementTemps;
+    this.currentStatement = node;
+    this.statementTemps = [];
+    let code = this.generateStatementCode(node);
+    const hoisted = (node.hoisted || []).concat(this.statementTemps);
+    this.currentStatement = enclosing;
+    this.statementTemps = enclosingTemps;
+    
+    if (hoisted.length > 0) {
+      code = this.indent() + `let ${hoisted.join(', ')};` + (code ? '\n' + code : '');
+    }
+    if (!code || !this.options.sourceMap) return code;
+    
+    const indentation = code.match(/^ */)[0];
+    return indentation + this.mark(node) + code.slice(indentation.length);
+  }
+
+  generateStatementCode(node) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        return this.generateFunction(node);
+      case 'ClassDeclaration':
+        return this.generateClass(node);
+      case 'ForInLoop':
+        return this.generateLoop(node, () => this.generateForIn(node));
+      case 'IfStatement':
+        return this.generateIf(node);
+      case 'WhileLoop':
+        return this.generateLoop(node, () => this.generateWhile(node));
+      case 'TryStatement':
+        return this.generateTry(node);
+      case 'WithStatement':
+        return this.generateWith(node);
+      case 'MatchStatement':
+        return this.generateMatch(node);
+      case 'ReturnStatement':
+        return this.generateReturn(node);
+      case 'RaiseStatement':
+        return this.generateRaise(node);
+      case 'AssertStatement':
+        return this.generateAssert(node);
+      case 'PrintStatement':
+        return this.generatePrint(node);
+      case 'ImportStatement':
+        return this.generateImport(node);
+      case 'FromImportStatement':
+        return this.generateFromImport(node);
+      case 'PassStatement':
+      case 'AnnotationStatement':
+        return '';
+      case 'BreakStatement': {
+        const flag = this.loopFlags[this.loopFlags.length - 1];
+        return (flag ? this.indent() + `${flag} = true;\n` : '') + this.indent() + 'break;';
+      }
+      case 'ContinueStatement':
+        return this.indent() + 'continue;';
+      case 'DeleteStatement':
+        return node.targets.map(target => this.indent() + this.generateDelete(target) + ';').join('\n');
+      case 'GlobalStatement':
+      case 'NonlocalStatement':
+        return '';
+      case 'ExportStatement':
+        return this.generateExport(node);
+      case 'ExportDefault':
+        if (this.moduleFormat === 'commonjs') {
+          // The default export replaces module.exports, which would drop the
+          // named exports assigned before it.
+          if (this.ast.body.some(statement => statement.type === 'ExportStatement')) {
+            throw this.error(ERROR_CODES.invalidExport,
+              "'export default' cannot be combined with named exports with module: 'commonjs'", node);
+          }
+          return this.indent() + `module.exports = ${this.generateExpression(node.expression)};`;
+        }
+        return this.indent() + `export default ${this.generateExpression(node.expression)};`;
+      case 'AssignmentStatement':
+        return this.generateAssignment(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'ExpressionStatement':
+        // A lone `...` is a placeholder body, like `pass`.
+        if (node.expression.type === 'EllipsisLiteral') return '';
+        const expr = this.generateExpression(node.expression);
+        if (expr.startsWith('{')) {
+          return this.indent() + '(' + expr + ');';
+        }
+        return expr ? this.indent() + expr + ';' : '';
+      default:
+        return '';
+    }
+  }
+
+  generateFunction(node) {
+    const { params, prologue } = this.generateSignature(node.name, node.params);
+    
+    const asyncKeyword = node.isAsync ? 'async ' : '';
+    const generator = this.generatorKeyword(node);
+    if (node.isAsync && !this.supports('asyncFunctions')) {
+      this.warn(`async function '${node.name}' requires es2017 but target is ${this.target}`, node);
+    }
+    
+    const assignment = node.assigned ? `${node.name} = ` : '';
+    let result = this.indent() + `${assignment}${asyncKeyword}function${generator ? '*' : ''} ${node.name}(${params}) {\n`;
+    const handlerStack = this.handlerStack;
+    const constructorResult = this.constructorResult;
+    const yieldScope = this.yieldScope;
+    const instanceName = this.instanceName;
+    this.handlerStack = [];
+    this.constructorResult = null;
+    this.yieldScope = 'function';
+    this.instanceName = null;
+    result += this.generatePrologue(prologue) + this.generateBody(node.body);
+    this.handlerStack = handlerStack;
+    this.constructorResult = constructorResult;
+    this.yieldScope = yieldScope;
+    this.instanceName = instanceName;
+    result += this.indent() + (node.assigned ? '};' : '}');
+    
+    if (node.decorators) {
+      result += '\n' + this.indent() + `${node.name} = ${this.applyDecorators(node.decorators, node.name)};`;
+    }
+    return result;
+  }
+
+  // A function that yields is a generator, or an async generator if it is
+  // also async.
+  generatorKeyword(node) {
+    if (!containsYield(node.body)) return '';
+    if (node.isAsync && !this.supports('asyncGenerators')) {
+      this.warn(`async generator '${node.name}' requires es2018 but target is ${this.target}`, node);
+    }
+    return '*';
+  }
+  
+  // Only a def can become a generator: JavaScript has no generator arrows,
+  // and comprehensions compile to functions of their own.
+  checkYield(node) {
+    if (this.yieldScope === 'lambda') {
+      throw this.error(ERROR_CODES.unsupportedFeature, "'yield' inside a lambda is not supported", node);
+    }
+    if (this.yieldScope === 'comprehension') {
+      throw this.error(ERROR_CODES.yieldOutsideFunction, "'yield' inside comprehension", node);
+    }
+    if (this.yieldScope !== 'function') {
+      throw this.error(ERROR_CODES.yieldOutsideFunction, "'yield' outside function", node);
+    }
+  }
+
+  applyDecorators(decorators, target) {
+    return decorators.reduceRight((value, decorator) => `${this.generateOperand(decorator, PRECEDENCE.call)}(${value})`, target);
+  }
+
+  generateClass(node) {
+    if (node.superClass && this.isBuiltinHelper(node.superClass)) {
+      this.useHelper(node.superClass);
+    }
+    const extendsClause = node.superClass ? ` extends ${node.superClass}` : '';
+    const assignment = node.assigned ? `${node.name} = ` : '';
+    let result = this.indent() + `${assignment}class ${node.name}${extendsClause} {\n`;
+    this.indentLevel++;
+    
+    const methodNames = new Set(node.methods.map(method => method.name));
+    const attributes = classAttributeNames(node);
+    const enclosingAttributes = this.classAttributes;
+    const afterClass = [];
+    
+    const yieldScope = this.yieldScope;
+    this.classAttributes = { name: node.name, names: new Set(attributes) };
+    this.yieldScope = null;
+    result += this.generateClassStatements(node, afterClass);
+    this.classAttributes = null;
+    this.yieldScope = yieldScope;
+    
+    const decorations = [];
+    const proxied = methodNames.has('__call__');
+    
+    for (const method of node.methods) {
+      const decorators = method.decorators || [];
+      const kinds = decorators.map(decorator => methodDecoratorKind(decorator, method.name)).filter(Boolean);
+      const others = decorators.filter(decorator => !methodDecoratorKind(decorator, method.name));
+      const kind = kinds[0] || null;
+      
+      if (kinds.length > 1 || (others.length > 0 && kind && !['staticmethod', 'classmethod'].includes(kind)) ||
+          (method.name === '__init__' && decorators.length > 0)) {
+        throw this.error(ERROR_CODES.unsupportedFeature, `Unsupported combination of decorators on method '${method.name}'`, method);
+      }
+      
+      const isConstructor = method.name === '__init__';
+      const isStatic = kind === 'staticmethod' || kind === 'classmethod';
+      const accessor = kind === 'property' ? 'get ' : kind === 'setter' ? 'set ' : '';
+      
+      const methodName = isConstructor ? 'constructor' :
+        kind === 'deleter' ? `[Symbol.for('indentscript.delete:${method.name}')]` : method.name;
+      const staticKeyword = isStatic ? 'static ' : '';
+      const asyncKeyword = method.isAsync ? 'async ' : '';
+      
+      // The first parameter is the instance (or the class) whatever it is named.
+      let methodParams = method.params;
+      const prologues = [];
+      const receiver = kind !== 'staticmethod' && method.params.length > 0 && !method.params[0].spread ? method.params[0].name : null;
+      if (receiver) {
+        methodParams = method.params.slice(1);
+      }
+      if (receiver && kind === 'classmethod') {
+        prologues.push(`const ${receiver} = this;`);
+      }
+      if (isConstructor && node.superClass && !callsSuperInit(method.body)) {
+        prologues.push('super();');
+      }
+      if (receiver && kind !== 'classmethod' && closesOver(method.body, receiver)) {
+        prologues.push(`const ${receiver} = this;`);
+      }
+      
+      const { params, prologue } = this.generateSignature(method.name, methodParams);
+      prologues.push(prologue);
+      
+      const context = [this.instanceName, this.classParameter, this.constructorResult, this.yieldScope];
+      this.instanceName = receiver && kind !== 'classmethod' ? receiver : null;
+      this.classParameter = kind === 'classmethod' ? receiver : null;
+      this.constructorResult = isConstructor && proxied ? this.instanceProxy() : null;
+      this.yieldScope = 'function';
+      
+      const generator = this.generatorKeyword(method);
+      result += this.indent() + this.mark(method) + `${staticKeyword}${asyncKeyword}${generator}${accessor}${methodName}(${params}) {\n`;
+      const handlerStack = this.handlerStack;
+      this.handlerStack = [];
+      result += this.generatePrologue(...prologues) + this.generateBody(method.body);
+      if (this.constructorResult) {
+        result += this.generatePrologue(`return ${this.constructorResult};`);
+      }
+      this.handlerStack = handlerStack;
+      [this.instanceName, this.classParameter, this.constructorResult, this.yieldScope] = context;
+      result += this.indent() + '}\n\n';
+      
+      if (others.length > 0) {
+        const owner = isStatic ? node.name : `${node.name}.prototype`;
+        const target = `${owner}.${methodName}`;
+        decorations.push(`${target} = ${this.applyDecorators(others, target)};`);
+      }
+    }
+    
+    if (proxied && !methodNames.has('__init__')) {
+      const lines = node.superClass ? ['super(...args);'] : [];
+      lines.push(`return ${this.instanceProxy()};`);
+      result += this.indent() + `constructor(${node.superClass ? '...args' : ''}) {\n` + this.generatePrologue(...lines) + this.indent() + '}\n\n';
+    }
+    result += this.generateProtocolMethods(methodNames);
+    
+    this.indentLevel--;
+    this.classAttributes = enclosingAttributes;
+    result += this.indent() + (node.assigned ? '};' : '}');
+    
+    const shared = attributes.filter(name => !methodNames.has(name) && !isDunderName(name));
+    if (shared.length > 0) {
+      this.useHelper('__classAttributes');
+      afterClass.push(this.indent() + `__classAttributes(${node.name}, [${shared.map(name => `'${name}'`).join(', ')}]);`);
+    }
+    if (node.decorators) {
+      decorations.push(`${node.name} = ${this.applyDecorators(node.decorators, node.name)};`);
+    }
+    for (const code of afterClass) {
+      result += '\n' + code;
+    }
+    for (const decoration of decorations) {
+      result += '\n' + this.indent() + decoration;
+    }
+    return result;
+  }
+
+  instanceProxy() {
+    this.useHelper('__instanceProxy');
+    return '__instanceProxy(this)';
+  }
+
+  // Statements in a class body run once, as the class is created. Simple
+  // assignments become static fields and anything else a static block, or
+  // both follow the class on targets without class fields.
+  generateClassStatements(node, afterClass) {
+    const fields = this.supports('classFields');
+    let result = '';
+    
+    for (const prop of node.properties) {
+      if (prop.type === 'PassStatement' || (prop.type === 'AnnotationStatement' && prop.target.type === 'Identifier') ||
+          (prop.type === 'ExpressionStatement' && prop.expression.type === 'EllipsisLiteral')) {
+        continue;
+      }
+      
+      if (fields && prop.type === 'AssignmentStatement' && prop.operator === '=' &&
+          prop.targets.length === 1 && prop.targets[0].type === 'Identifier') {
+        const value = this.generateExpression(prop.value);
+        result += this.indent() + this.mark(prop) + `static ${prop.targets[0].name} = ${value};\n`;
+        continue;
+      }
+      
+      // A nested class is declared in a block of its own and stored on the class.
+      const nested = prop.type === 'ClassDeclaration';
+      const depth = fields ? 1 : nested ? 0 : -1;
+      this.indentLevel += depth;
+      let code = this.generateStatement(prop);
+      if (nested) {
+        code += '\n' + this.indent() + `${node.name}.${prop.name} = ${prop.name};`;
+      }
+      this.indentLevel -= depth;
+      
+      if (fields) {
+        result += this.indent() + 'static {\n' + code + '\n' + this.indent() + '}\n';
+      } else if (nested) {
+        const outer = '  '.repeat(this.indentLevel - 1);
+        afterClass.push(outer + '{\n' + code + '\n' + outer + '}');
+      } else {
+        afterClass.push(code);
+      }
+    }
+    
+    return result;
+  }
+
+  // JavaScript protocols backed by the special methods a class defines, unless
+  // the class already defines the JavaScript name itself.
+  generateProtocolMethods(methodNames) {
+    const methods = [];
+    const text = methodNames.has('__str__') ? '__str__' : methodNames.has('__repr__') ? '__repr__' : null;
+    
+    if (text && !methodNames.has('toString')) {
+      methods.push(['toString()', `return this.${text}();`]);
+    }
+    if (text) {
+      methods.push(["[Symbol.for('nodejs.util.inspect.custom')]()", `return this.${text}();`]);
+    }
+    if (methodNames.has('__iter__')) {
+      methods.push(['[Symbol.iterator]()', 'return this.__iter__();']);
+    }
+    if (methodNames.has('__next__') && !methodNames.has('next')) {
+      const stopIteration = this.builtin('StopIteration');
+      methods.push(['next()',
+        'try {',
+        '  return { value: this.__next__(), done: false };',
+        '} catch (error) {',
+        `  if (error instanceof ${stopIteration}) return { value: undefined, done: true };`,
+        '  throw error;',
+        '}']);
+    }
+    
+    return methods.map(([header, ...body]) =>
+      this.indent() + `${header} {\n` + this.generatePrologue(...body) + this.indent() + '}\n\n').join('');
+  }
+
+  // Loop `else`: as with try/except/else, a flag records whether the loop
+  // was left by `break`, and the else block runs only if it was not.
+  generateLoop(node, generateLoopCode) {
+    const flag = node.elseBlock ? this.tempName('broke') : null;
+    this.loopFlags.push(flag);
+    const loop = generateLoopCode();
+    this.loopFlags.pop();
+    
+    if (!flag) return loop;
+    return this.indent() + `let ${flag} = false;\n` + loop + '\n' +
+      this.indent() + `if (!${flag}) {\n` + this.generateBody(node.elseBlock) + this.indent() + '}';
+  }
+
+  generateForIn(node) {
+    if (isRangeLoop(node) && this.isBuiltinHelper('range')) {
+      this.checkRangeArguments(node.iterable);
+      return this.generateRangeLoop(node);
+    }
+    
+    const declaration = node.declaration ? node.declaration + ' ' : '';
+    const target = this.generateTarget(node.target);
+    const iterable = node.isAsync ? this.generateExpression(node.iterable) : this.generateIterable(node.iterable);
+    if (node.isAsync && !this.supports('asyncGenerators')) {
+      this.warn(`'async for' requires es2018 but target is ${this.target}`, node);
+    }
+    
+    const loop = node.isAsync ? 'for await' : 'for';
+    let result = this.indent() + `${loop} (${declaration}${target} of ${iterable}) {\n`;
+    this.indentLevel++;
+    
+    for (const stmt of node.body) {
+      const code = this.generateStatement(stmt);
+      if (code) result += code + '\n';
+    }
+    
+    this.indentLevel--;
+    result += this.indent() + '}';
+    return result;
+  }
+
+  // `for i in range(...)` counts instead of building a range object. The stop
+  // and step are evaluated once, in the loop header, where arguments that are
+  // not literals are checked to be integers and the step to be non-zero. A
+  // step whose sign is unknown at compile time picks the comparison at
+  // runtime. The loop counts with a hidden variable when the target outlives
+  // the loop or is assigned in the body, as Python's loop variable does not
+  // feed back into the iteration.
+  generateRangeLoop(node) {
+    const args = node.iterable.arguments;
+    const stop = args[args.length === 1 ? 0 : 1];
+    const step = args[2] || { type: 'NumberLiteral', value: '1' };
+    const name = node.target.name;
+    const counter = node.declaration === 'const' ? name : this.tempName(name);
+    
+    const float = args.find(arg => numericValue(arg) !== null && !Number.isInteger(numericValue(arg)));
+    if (float) {
+      throw this.error(ERROR_CODES.invalidArguments, "'float' object cannot be interpreted as an integer", float);
+    }
+    if (numericSign(step) === 0) {
+      throw this.error(ERROR_CODES.invalidArguments, 'range() arg 3 must not be zero', node.iterable);
+    }
+    
+    const checked = (value, helper) => {
+      if (numericSign(value) !== null) return this.generateOperand(value, PRECEDENCE.relational + 1);
+      this.useHelper(helper);
+      return `${helper}(${this.generateExpression(value)})`;
+    };
+    const init = [`${counter} = ${args.length > 1 ? checked(args[0], '__rangeIndex') : '0'}`];
+    const bound = (value, helper) => {
+      if (numericSign(value) !== null) return checked(value, helper);
+      const temp = this.tempName(value === stop ? 'stop' : 'step');
+      init.push(`${temp} = ${checked(value, helper)}`);
+      return temp;
+    };
+    const end = bound(stop, '__rangeIndex');
+    const sign = numericSign(step);
+    const increment = bound(step, '__rangeStep');
+    
+    let test;
+    if (sign === 1) {
+      test = `${counter} < ${end}`;
+    } else if (sign === -1) {
+      test = `${counter} > ${end}`;
+    } else {
+      test = `${increment} > 0 ? ${counter} < ${end} : ${counter} > ${end}`;
+    }
+    const update = increment === '1' ? `${counter}++` : increment === '-1' ? `${counter}--` : `${counter} += ${increment}`;
+    
+    let result = this.indent() + `for (let ${init.join(', ')}; ${test}; ${update}) {\n`;
+    if (counter !== name) {
+      const declaration = node.declaration ? node.declaration + ' ' : '';
+      result += this.generatePrologue(`${declaration}${this.generateTarget(node.target)} = ${counter};`);
+    }
+    result += this.generateBody(node.body);
+    result += this.indent() + '}';
+    return result;
+  }
+
+  generateIf(node) {
+    const condition = this.generateExpression(node.condition);
+    let result = this.indent() + `if (${condition}) {\n`;
+    this.indentLevel++;
+    
+    for (const stmt of node.consequent) {
+      const code = this.generateStatement(stmt);
+      if (code) result += code + '\n';
+    }
+    
+    this.indentLevel--;
+    result += this.indent() + '}';
+    
+    if (node.alternate) {
+      if (Array.isArray(node.alternate)) {
+        result += ' else {\n';
+        this.indentLevel++;
+        
+        for (const stmt of node.alternate) {
+          const code = this.generateStatement(stmt);
+          if (code) result += code + '\n';
+        }
+        
+        this.indentLevel--;
+        result += this.indent() + '}';
+      } else {
+        result += ' else ' + this.mark(node.alternate) + this.generateIf(node.alternate).trim();
+      }
+    }
+    
+    return result;
+  }
+
+  // Cases become an if/else chain. Captured names are assigned at the top of
+  // the branch, or inside the condition when a guard or an alternative needs
+  // them.
+  generateMatch(node) {
+    let result = '';
+    let subject = this.generateExpression(node.subject);
+    const captures = node.cases.reduce((names, matchCase) => names.concat(patternNames(matchCase.pattern)), []);
+    if (node.subject.type !== 'Identifier' || captures.includes(node.subject.name)) {
+      const name = this.tempName('match');
+      result = this.indent() + `const ${name} = ${subject};\n`;
+      subject = name;
+    }
+    
+    node.cases.forEach((matchCase, i) => {
+      const { tests, bindings } = this.generatePattern(matchCase.pattern, subject);
+      const assignments = bindings.map(([name, value]) => `${name} = ${value}`);
+      let condition = this.joinTests(tests);
+      
+      if (matchCase.guard) {
+        const guard = assignments.length > 0
+          ? `(${assignments.join(', ')}, ${this.generateExpression(matchCase.guard)})`
+          : this.generateOperand(matchCase.guard, PRECEDENCE.and);
+        condition = condition ? `${condition} && ${guard}` : guard;
+        assignments.length = 0;
+      }
+      
+      // A lone irrefutable case always runs.
+      const lone = !condition && i === 0;
+      if (condition) {
+        result += (i === 0 ? this.indent() : ' else ') + `if (${condition}) {\n`;
+      } else if (!lone) {
+        result += ' else {\n';
+      }
+      
+      if (!lone) this.indentLevel++;
+      for (const assignment of assignments) {
+        result += this.indent() + assignment + ';\n';
+      }
+      for (const stmt of matchCase.body) {
+        const code = this.generateStatement(stmt);
+        if (code) result += code + '\n';
+      }
+      if (!lone) {
+        this.indentLevel--;
+        result += this.indent() + '}';
+      }
+    });
+    
+    return result.replace(/\n$/, '');
+  }
+
+  // Returns the conditions under which `subject` matches `pattern` and the
+  // values its captured names take.
+  generatePattern(pattern, subject, out = { tests: [], bindings: [] }) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+      case 'CapturePattern':
+        out.bindings.push([pattern.name, subject]);
+        break;
+      case 'AsPattern':
+        this.generatePattern(pattern.pattern, subject, out);
+        out.bindings.push([pattern.name, subject]);
+        break;
+      case 'ValuePattern':
+        out.tests.push(pattern.value.type === 'NoneLiteral'
+          ? `${subject} == null`
+          : `${subject} === ${this.generateOperand(pattern.value, PRECEDENCE.equality + 1)}`);
+        break;
+      case 'OrPattern': {
+        const alternatives = pattern.alternatives.map(alternative => {
+          const branch = this.generatePattern(alternative, subject);
+          const condition = this.joinTests(branch.tests);
+          if (branch.bindings.length === 0) return condition || 'true';
+          
+          const assignments = `(${branch.bindings.map(([name, value]) => `${name} = ${value}`).join(', ')}, true)`;
+          return condition ? `${condition} && ${assignments}` : assignments;
+        });
+        out.tests.push(alternatives);
+        break;
+      }
+      case 'SequencePattern': {
+        const elements = pattern.elements;
+        const star = elements.findIndex(element => element.type === 'StarPattern');
+        out.tests.push(`Array.isArray(${subject})`);
+        if (star === -1) {
+          out.tests.push(`${subject}.length === ${elements.length}`);
+        } else if (elements.length > 1) {
+          out.tests.push(`${subject}.length >= ${elements.length - 1}`);
+        }
+        
+        elements.forEach((element, i) => {
+          if (i === star) {
+            const after = elements.length - 1 - star;
+            if (element.name) {
+              out.bindings.push([element.name, after > 0 ? `${subject}.slice(${i}, -${after})` : `${subject}.slice(${i})`]);
+            }
+          } else {
+            const index = star !== -1 && i > star ? `${subject}.length - ${elements.length - i}` : i;
+            this.generatePattern(element, `${subject}[${index}]`, out);
+          }
+        });
+        break;
+      }
+      case 'MappingPattern': {
+        this.useHelper('__isDict');
+        out.tests.push(`__isDict(${subject})`);
+        const keys = pattern.entries.map(entry => this.generateExpression(entry.key));
+        
+        pattern.entries.forEach((entry, i) => {
+          out.tests.push(`${keys[i]} in ${subject}`);
+          const key = entry.key.type === 'StringLiteral' && isIdentifierName(entry.key.value)
+            ? `.${entry.key.value}`
+            : `[${keys[i]}]`;
+          this.generatePattern(entry.pattern, subject + key, out);
+        });
+        
+        if (pattern.rest) {
+          this.useHelper('__dictWithout');
+          out.bindings.push([pattern.rest, `__dictWithout(${subject}, [${keys.join(', ')}])`]);
+        }
+        break;
+      }
+      case 'ClassPattern': {
+        const cls = this.generateExpression(pattern.cls);
+        
+        // Built-in types match their own value positionally: `case int(n):`.
+        if (pattern.cls.type === 'Identifier' && SELF_MATCHING_TYPES.includes(pattern.cls.name) &&
+            this.isBuiltinHelper(pattern.cls.name)) {
+          if (pattern.positional.length > 1) {
+            throw this.error(ERROR_CODES.invalidPattern, `${pattern.cls.name}() accepts 1 positional sub-pattern`, pattern);
+          }
+          out.tests.push(`${this.builtin('isinstance')}(${subject}, ${cls})`);
+          if (pattern.positional.length === 1) this.generatePattern(pattern.positional[0], subject, out);
+        } else {
+          out.tests.push(`${subject} instanceof ${this.generateOperand(pattern.cls, PRECEDENCE.relational + 1)}`);
+          pattern.positional.forEach((element, i) => {
+            this.generatePattern(element, `${subject}[${cls}.__match_args__[${i}]]`, out);
+          });
+        }
+        
+        for (const { name, pattern: element } of pattern.keywords) {
+          if (isIrrefutablePattern(element)) out.tests.push(`"${name}" in ${subject}`);
+          this.generatePattern(element, `${subject}.${name}`, out);
+        }
+        break;
+      }
+      default:
+        throw this.error(ERROR_CODES.invalidPattern, 'Starred pattern outside a sequence', pattern);
+    }
+    
+    return out;
+  }
+
+  // Alternatives are lists of conditions to join with `||`.
+  joinTests(tests) {
+    return tests.map(test => {
+      if (!Array.isArray(test)) return test;
+      return tests.length > 1 ? `(${test.join(' || ')})` : test.join(' || ');
+    }).join(' && ');
+  }
+
+  generateWhile(node) {
+    const condition = this.generateExpression(node.condition);
+    let result = this.indent() + `while (${condition}) {\n`;
+    this.indentLevel++;
+    
+    for (const stmt of node.body) {
+      const code = this.generateStatement(stmt);
+      if (code) result += code + '\n';
+    }
+    
+    this.indentLevel--;
+    result += this.indent() + '}';
+    return result;
+  }
+
+  generateTry(node) {
+    if (!node.elseBlock) {
+      return this.indent() + this.generateTryBlocks(node, node.tryBlock, node.finallyBlock);
+    }
+    
+    // try/except/else: the else block runs only when the try block finished
+    // without raising, and exceptions from it must not reach the handlers.
+    const flag = this.tempName('tryElse');
+    const inner = [];
+    this.indentLevel += node.finallyBlock ? 1 : 0;
+    inner.push(this.indent() + `let ${flag} = false;`);
+    inner.push(this.indent() + this.generateTryBlocks(node, node.tryBlock, null, `${flag} = true;`));
+    inner.push(this.indent() + `if (${flag}) {\n` + this.generateBody(node.elseBlock) + this.indent() + '}');
+    this.indentLevel -= node.finallyBlock ? 1 : 0;
+    
+    if (!node.finallyBlock) {
+      return inner.join('\n');
+    }
+    
+    return this.indent() + 'try {\n' + inner.join('\n') + '\n' + this.indent() + '} finally {\n' +
+      this.generateBody(node.finallyBlock) + this.indent() + '}';
+  }
+
+  generateTryBlocks(node, tryBlock, finallyBlock, completion = null) {
+    let result = 'try {\n' + this.generateBody(tryBlock);
+    if (completion) {
+      result += this.indent() + '  ' + completion + '\n';
+    }
+    result += this.indent() + '}';
+    
+    if (node.handlers.length > 0) {
+      result += this.generateHandlers(node.handlers);
+    }
+    
+    if (finallyBlock) {
+      result += ' finally {\n' + this.generateBody(finallyBlock) + this.indent() + '}';
+    }
+    
+    return result;
+  }
+
+  generateHandlers(handlers) {
+    const names = Array.from(new Set(handlers.map(h => h.errorName).filter(Boolean)));
+    const errorName = names.length === 1 ? names[0] : this.freshName('error');
+    
+    // A bare `raise` in a function called from a handler rethrows the
+    // handler's exception, which the runtime keeps track of.
+    const tracked = handlers.some(handler => containsCall(handler.body));
+    
+    this.handlerStack.push(errorName);
+    this.indentLevel += tracked ? 1 : 0;
+    
+    let body;
+    const first = handlers[0];
+    
+    if (handlers.length === 1 && this.isCatchAll(first.errorType)) {
+      body = this.generateHandlerBody(first, errorName);
+    } else {
+      this.indentLevel++;
+      let chain = '';
+      let exhaustive = false;
+      
+      for (const handler of handlers) {
+        if (this.isCatchAll(handler.errorType)) {
+          chain += (chain ? ' else {\n' : '{\n') + this.generateHandlerBody(handler, errorName) + this.indent() + '}';
+          exhaustive = true;
+          break;
+        }
+        
+        const test = this.exceptionTypes(handler.errorType)
+          .map(type => `${errorName} instanceof ${this.generateOperand(type, PRECEDENCE.relational + 1)}`)
+          .join(' || ');
+        chain += (chain ? ' else if' : 'if') + ` (${test}) {\n` + this.generateHandlerBody(handler, errorName) + this.indent() + '}';
+      }
+      
+      if (!exhaustive) {
+        chain += ` else {\n${this.indent()}  throw ${errorName};\n${this.indent()}}`;
+      }
+      body = this.indent() + chain + '\n';
+      this.indentLevel--;
+    }
+    
+    this.indentLevel -= tracked ? 1 : 0;
+    this.handlerStack.pop();
+    
+    if (tracked) {
+      this.useHelper('__enterHandler');
+      this.useHelper('__exitHandler');
+      const indent = this.indent() + '  ';
+      body = `${indent}__enterHandler(${errorName});\n${indent}try {\n` + body +
+        `${indent}} finally {\n${indent}  __exitHandler(${errorName});\n${indent}}\n`;
+    }
+    return ` catch (${errorName}) {\n` + body + this.indent() + '}';
+  }
+
+  generateHandlerBody(handler, errorName) {
+    let prefix = '';
+    if (handler.errorName && handler.errorName !== errorName) {
+      prefix = this.indent() + `  const ${handler.errorName} = ${errorName};\n`;
+    }
+    return prefix + this.generateBody(handler.body);
+  }
+
+  exceptionTypes(errorType) {
+    if (errorType.type === 'TupleExpression' || errorType.type === 'ListExpression') {
+      return errorType.elements;
+    }
+    return [errorType];
+  }
+
+  isCatchAll(errorType) {
+    if (!errorType) return true;
+    return this.exceptionTypes(errorType).some(type =>
+      type.type === 'Identifier' && CATCH_ALL_EXCEPTIONS.includes(type.name) && !this.moduleBindings.has(type.name));
+  }
+
+  generateWith(node, index = 0) {
+    if (index === node.items.length) {
+      return this.generateBody(node.body);
+    }
+    
+    const item = node.items[index];
+    const context = this.generateExpression(item.context);
+    const manager = this.tempName('with');
+    const awaitKeyword = node.isAsync ? 'await ' : '';
+    
+    this.useHelper(node.isAsync ? '__enterAsyncContext' : '__enterContext');
+    const enter = node.isAsync ? '__enterAsyncContext' : '__enterContext';
+    
+    let result = (index === 0 ? this.indent() : '') + `{\n`;
+    this.indentLevel++;
+    result += this.indent() + `const ${manager} = ${awaitKeyword}${enter}(${context});\n`;
+    result += this.indent() + 'try {\n';
+    
+    if (item.alias) {
+      const declaration = node.declaration ? node.declaration + ' ' : '';
+      result += this.indent() + `  ${declaration}${item.alias} = ${manager}.value;\n`;
+    }
+    
+    if (index + 1 < node.items.length) {
+      this.indentLevel++;
+      result += this.indent() + this.generateWith(node, index + 1) + '\n';
+      this.indentLevel--;
+    } else {
+      result += this.generateWith(node, index + 1);
+    }
+    
+    // exit() only runs once: after the catch clause has called it with the
+    // error, the call in finally is a no-op.
+    result += this.indent() + '} catch (error) {\n';
+    result += this.indent() + `  if (!(${awaitKeyword}${manager}.exit(error))) throw error;\n`;
+    result += this.indent() + '} finally {\n';
+    result += this.indent() + `  ${awaitKeyword}${manager}.exit();\n`;
+    result += this.indent() + '}\n';
+    this.indentLevel--;
+    result += this.indent() + '}';
+    return result;
+  }
+
+  generateDelete(target) {
+    if (isSliceSubscript(target)) {
+      return this.generateSliceUpdate(target, null);
+    }
+    if (target.type === 'SubscriptExpression') {
+      this.useHelper('__delItem');
+      return `__delItem(${this.generateExpression(target.object)}, ${this.generateExpression(target.index)})`;
+    }
+    if (target.type === 'MemberExpression') {
+      this.useHelper('__deleteAttribute');
+      return `__deleteAttribute(${this.generateExpression(target.object)}, '${target.property}')`;
+    }
+    // JavaScript cannot delete a variable; the name is unbound by clearing it
+    // instead.
+    return this.generateTarget(target) + ' = undefined';
+  }
+
+  generateReturn(node) {
+    if (!node.value) {
+      return this.indent() + (this.constructorResult ? `return ${this.constructorResult};` : 'return;');
+    }
+    return this.indent() + 'return ' + this.generateExpression(node.value) + ';';
+  }
+
+  generateRaise(node) {
+    if (!node.error) {
+      if (this.handlerStack.length === 0) {
+        this.useHelper('__currentException');
+        return this.indent() + 'throw __currentException();';
+      }
+      return this.indent() + `throw ${this.handlerStack[this.handlerStack.length - 1]};`;
+    }
+    
+    let error = node.error;
+    // Python instantiates exception classes implicitly: `raise ValueError` and
+    // `raise MyError("...")` both throw a new instance. Any other name may
+    // hold a class or an instance, which only the runtime can tell apart.
+    if (error.type === 'Identifier' && this.isBuiltinHelper(error.name)) {
+      error = { type: 'NewExpression', callee: error, arguments: [] };
+    } else if (error.type === 'CallExpression' && isClassName(error.callee)) {
+      error = { type: 'NewExpression', callee: error.callee, arguments: error.arguments };
+    }
+    
+    let code = this.generateExpression(error);
+    if ((error.type === 'Identifier' || error.type === 'MemberExpression') && !this.handlerStack.includes(error.name)) {
+      this.useHelper('__exception');
+      code = `__exception(${code})`;
+    }
+    if (node.cause && node.cause.type !== 'NoneLiteral') {
+      return this.indent() + `throw Object.assign(${code}, { cause: ${this.generateExpression(node.cause)} });`;
+    }
+    return this.indent() + 'throw ' + code + ';';
+  }
+
+  generateAssert(node) {
+    const condition = this.generateExpression(node.condition);
+    const message = node.message ? this.generateExpression(node.message) : '"Assertion failed"';
+    const errorClass = this.generateExpression({ type: 'Identifier', name: 'AssertionError' });
+    return this.indent() + `if (!(${condition})) throw new ${errorClass}(${message});`;
+  }
+
+  generatePrint(node) {
+    this.useHelper('__print');
+    return this.indent() + `__print([${this.generateArguments(node.arguments)}]);`;
+  }
+
+  moduleSpecifier(module) {
+    // Compiled files sit next to each other as .js, so relative imports of
+    // .isc sources are pointed at the compiled output.
+    if (this.options.rewriteImports && /^\.\.?\//.test(module) && module.endsWith('.isc')) {
+      module = module.slice(0, -'.isc'.length) + '.js';
+    }
+    return JSON.stringify(module).slice(1, -1).replace(/'/g, "\\'");
+  }
+
+  generateImport(node) {
+    const modules = node.modules.filter(m => !TYPING_MODULES.includes(m.module));
+    if (modules.length === 0) return '';
+    
+    const imports = modules.map(m => {
+      const module = this.moduleSpecifier(m.module);
+      const binding = m.alias || (isIdentifierName(m.module) ? m.module : null);
+      
+      if (this.moduleFormat === 'commonjs') {
+        return binding ? `const ${binding} = require('${module}');` : `require('${module}');`;
+      }
+      if (m.alias) {
+        return `import * as ${m.alias} from '${module}';`;
+      }
+      return binding ? `import ${binding} from '${module}';` : `import '${module}';`;
+    });
+    return this.indent() + imports.join('\n' + this.indent());
+  }
+
+  generateFromImport(node) {
+    if (TYPING_MODULES.includes(node.module)) return '';
+    
+    const isStar = node.imports[0] && node.imports[0].name === '*';
+    const module = this.moduleSpecifier(node.module);
+    
+    if (this.moduleFormat === 'commonjs') {
+      if (isStar) {
+        throw this.error(ERROR_CODES.unsupportedImport, `'from ${node.module} import *' is not supported with module: 'commonjs'`, node);
+      }
+      const bindings = node.imports.map(i => i.alias ? `${i.name}: ${i.alias}` : i.name).join(', ');
+      return this.indent() + `const { ${bindings} } = require('${module}');`;
+    }
+    
+    const imports = node.imports.map(i => {
+      if (i.name === '*') {
+        return `* from '${module}'`;
+      }
+      if (i.alias) {
+        return `${i.name} as ${i.alias}`;
+      }
+      return i.name;
+    }).join(', ');
+    
+    if (isStar) {
+      return this.indent() + `import ${imports};`;
+    }
+    
+    return this.indent() + `import { ${imports} } from '${module}';`;
+  }
+
+  generateExport(node) {
+    const declaration = node.declaration;
+    const name = declaration.type === 'AssignmentStatement' ? declaration.targets[0].name :
+      declaration.type === 'VariableDeclaration' ? this.generateExpression(declaration.target) : declaration.name;
+    const code = this.generateStatement(declaration).trim();
+    
+    if (this.moduleFormat === 'commonjs') {
+      return this.indent() + code + '\n' + this.indent() + `exports.${name} = ${name};`;
+    }
+    if (declaration.type === 'AssignmentStatement' && !declaration.declaration) {
+      return this.indent() + code + '\n' + this.indent() + `export { ${name} };`;
+    }
+    return this.indent() + 'export ' + code;
+  }
+
+  generateAssignment(node) {
+    if (node.targets.some(isSliceSubscript)) {
+      if (node.operator !== '=' || node.targets.length > 1) {
+        throw this.error(ERROR_CODES.invalidAssignment, 'A slice can only be the single target of a plain assignment', node);
+      }
+      return this.indent() + this.generateSliceUpdate(node.targets[0], node.value) + ';';
+    }
+    
+    const starred = node.targets.length === 1 ? middleStarIndex(node.targets[0]) : -1;
+    if (starred !== -1) {
+      return this.generateStarredAssignment(node, starred);
+    }
+    
+    if (node.targets.length === 1 && node.targets[0].type === 'SubscriptExpression') {
+      return this.indent() + this.generateItemAssignment(node.targets[0], node.operator, node.value) + ';';
+    }
+    
+    const value = this.generateExpression(node.value);
+    
+    if (node.operator === '//=') {
+      const target = this.generateTarget(node.targets[0]);
+      return this.indent() + `${target} = Math.floor(${target} / ${this.generateOperand(node.value, PRECEDENCE.multiplicative + 1)});`;
+    }
+    
+    const targets = node.targets.map(target => this.generateTarget(target));
+    const declaration = node.declaration ? node.declaration + ' ' : '';
+    return this.indent() + declaration + targets.map(target => `${target} ${node.operator} `).join('') + value + ';';
+  }
+
+  // `obj[key] op= value` through __setitem__; an augmented assignment reads
+  // the item back with __getitem__, evaluating the object and key once.
+  generateItemAssignment(target, operator, value) {
+    const call = (name, args) => ({ type: 'CallExpression', callee: { type: 'Identifier', name }, arguments: args });
+    this.useHelper('__setItem');
+    if (operator === '=') {
+      return this.generateExpression(call('__setItem', [target.object, target.index, value]));
+    }
+    
+    const [object, objectRef] = this.evaluateOnce(target.object, 'object');
+    const [key, keyRef] = this.evaluateOnce(target.index, 'key');
+    this.useHelper('__getItem');
+    const current = call('__getItem', [objectRef, keyRef]);
+    const updated = { type: 'BinaryExpression', operator: operator.slice(0, -1), left: current, right: value };
+    return this.generateExpression(call('__setItem', [object, key, updated]));
+  }
+
+  // A node to evaluate first and one to refer to its value afterwards; an
+  // expression with side effects is stored in a statement temporary.
+  evaluateOnce(node, base) {
+    if (isSimpleOperand(node)) return [node, node];
+    const name = this.tempName(base);
+    this.statementTemps.push(name);
+    return [{ type: 'TempAssignment', name, value: node }, { type: 'Identifier', name }];
+  }
+
+  // JavaScript only allows a rest element last, so `a, *b, c = xs` binds
+  // `[a, ...b]` first and then moves the trailing items out of `b`.
+  generateStarredAssignment(node, starred) {
+    const elements = node.targets[0].elements;
+    const head = elements.slice(0, starred + 1).map(element => this.generateTarget(element));
+    const tail = elements.slice(starred + 1).map(element => this.generateTarget(element));
+    const rest = this.generateTarget(elements[starred].argument);
+    const declaration = node.declaration ? node.declaration + ' ' : '';
+    
+    return this.indent() + `${declaration}[${head.join(', ')}] = ${this.generateExpression(node.value)};\n` +
+      this.indent() + `${declaration}[${tail.join(', ')}] = ${rest}.splice(-${tail.length});`;
+  }
+
+  generateTarget(node) {
+    if (node.type === 'TupleExpression' || node.type === 'ListExpression') {
+      return '[' + node.elements.map(element => this.generateTarget(element)).join(', ') + ']';
+    }
+    if (node.type === 'SpreadElement') {
+      return '...' + this.generateTarget(node.argument);
+    }
+    
+    // A subscript target stays a property reference; with a negative index
+    // the object is needed twice, for the item and for its length.
+    if (node.type === 'SubscriptExpression' && node.index.type !== 'SliceExpression') {
+      if (negativeIndex(node.index) === null) {
+        return `${this.generateOperand(node.object, PRECEDENCE.call)}[${this.generateExpression(node.index)}]`;
+      }
+      const [object, objectRef] = this.evaluateOnce(node.object, 'object');
+      this.useHelper('__index');
+      return `${this.generateOperand(object, PRECEDENCE.call)}[__index(${this.generateExpression(objectRef)}, ${this.generateExpression(node.index)})]`;
+    }
+    return this.generateExpression(node);
+  }
+
+  // `xs[a:b] = values` and `del xs[a:b]` (values === null). Plain slices
+  // with non-negative literal bounds map straight onto splice(); anything
+  // else needs the bounds normalized at runtime.
+  generateSliceUpdate(target, values) {
+    const { start, stop, step } = target.index;
+    const object = this.generateExpression(target.object);
+    const items = values ? this.generateOperand(values, PRECEDENCE.assignment) : null;
+    const isStatic = bound => !bound || bound.type === 'NumberLiteral';
+    
+    if (!step && isStatic(start) && isStatic(stop)) {
+      const from = start ? Number(start.value) : 0;
+      const count = stop ? String(Math.max(Number(stop.value) - from, 0)) : `${object}.length`;
+      const splice = this.generateOperand(target.object, PRECEDENCE.call) + `.splice(${from}, ${count}`;
+      return items ? `${splice}, ...${items})` : `${splice})`;
+    }
+    
+    const bounds = [start, stop, step].map(bound => bound ? this.generateExpression(bound) : 'null');
+    if (items) {
+      this.useHelper('__setSlice');
+      return `__setSlice(${object}, ${bounds.join(', ')}, ${items})`;
+    }
+    this.useHelper('__deleteSlice');
+    return `__deleteSlice(${object}, ${bounds.join(', ')})`;
+  }
+
+  generateSubscript(node) {
+    const object = this.generateOperand(node.object, PRECEDENCE.call);
+    const index = node.index;
+    
+    if (index.type === 'SliceExpression') {
+      // `.slice()` reads null as 0, so a bound that may be None at runtime
+      // becomes undefined, which it reads as omitted.
+      const isLiteral = bound => bound.type === 'NumberLiteral' || negativeIndex(bound) !== null;
+      const bounds = [index.start, index.stop].filter(bound => bound && bound.type !== 'NoneLiteral');
+      const nullable = bounds.some(bound => !isLiteral(bound));
+      const helper = Boolean(index.step) || (nullable && !this.supports('nullishCoalescing'));
+      const generateBound = bound => {
+        if (!bound || bound.type === 'NoneLiteral') return null;
+        if (helper || isLiteral(bound)) return this.generateExpression(bound);
+        return `${this.generateOperand(bound, PRECEDENCE.bitwiseOr)} ?? undefined`;
+      };
+      const start = generateBound(index.start);
+      const stop = generateBound(index.stop);
+      
+      if (helper) {
+        this.useHelper('__slice');
+        const step = index.step ? this.generateExpression(index.step) : 'null';
+        const args = [this.generateExpression(node.object), start || 'null', stop || 'null', step];
+        return `__slice(${args.join(', ')})`;
+      }
+      if (!stop) {
+        return `${object}.slice(${start || ''})`;
+      }
+      return `${object}.slice(${start || '0'}, ${stop})`;
+    }
+    
+    this.useHelper('__getItem');
+    return `__getItem(${this.generateExpression(node.object)}, ${this.generateExpression(index)})`;
+  }
+
+  generateVariableDeclaration(node) {
+    const target = this.generateExpression(node.target);
+    if (!node.value) {
+      return this.indent() + `${node.kind} ${target};`;
+    }
+    return this.indent() + `${node.kind} ${target} = ${this.generateExpression(node.value)};`;
+  }
+
+  generateParams(params) {
+    return params.map(p => {
+      if (p.spread === 'array') return '...' + p.name;
+      if (p.defaultValue) {
+        return p.name + ' = ' + this.generateExpression(p.defaultValue);
+      }
+      return p.name;
+    }).join(', ');
+  }
+
+  // A signature JavaScript can express keeps its parameter list and is
+  // rebound only when a call passes keywords, so that callers which cannot be
+  // resolved at compile time still bind by name. The others, and lambdas
+  // that accept keywords, take `..._args` and bind in a prologue. Lambdas,
+  // which have no `arguments`, and functions without parameters otherwise
+  // compile to a plain parameter list.
+  generateSignature(name, params, isArrow = false) {
+    if (!acceptsKeywords(params) && (isArrow || params.length === 0)) {
+      return { params: this.generateParams(params), prologue: '' };
+    }
+    
+    this.useHelper('__bindArguments');
+    const args = this.tempName('args');
+    const signature = [];
+    const targets = [];
+    
+    params.forEach((p, i) => {
+      if (p.keywordOnly && !params.slice(0, i).some(q => q.spread === 'array' || q.keywordOnly)) {
+        signature.push('*');
+      }
+      signature.push(p.spread === 'array' ? '*' + p.name : p.spread === 'dict' ? '**' + p.name : p.name);
+      if (p.positionalOnly && !(params[i + 1] && params[i + 1].positionalOnly)) {
+        signature.push('/');
+      }
+      targets.push(p.defaultValue ? `${p.name} = ${this.generateExpression(p.defaultValue)}` : p.name);
+    });
+    
+    const list = signature.map(param => `'${param}'`).join(', ');
+    if (!isArrow && isNativeSignature(params)) {
+      this.useHelper('__hasKeywords');
+      return {
+        params: this.generateParams(params),
+        prologue: `if (__hasKeywords(arguments)) [${targets.join(', ')}] = __bindArguments('${name}', [...arguments], [${list}]);`
+      };
+    }
+    return {
+      params: '...' + args,
+      prologue: `let [${targets.join(', ')}] = __bindArguments('${name}', ${args}, [${list}]);`
+    };
+  }
+
+  generatePrologue(...lines) {
+    return lines.filter(Boolean).map(line => this.indent() + '  ' + line + '\n').join('');
+  }
+
+  generateLambda(node) {
+    const { params, prologue } = this.generateSignature('<lambda>', node.params, true);
+    const yieldScope = this.yieldScope;
+    this.yieldScope = 'lambda';
+    let body = this.generateOperand(node.body, PRECEDENCE.assignment);
+    this.yieldScope = yieldScope;
+    if (prologue) {
+      return `(${params}) => { ${prologue} return ${body}; }`;
+    }
+    if (body.startsWith('{')) {
+      body = '(' + body + ')';
+    }
+    return `(${params}) => ${body}`;
+  }
+
+  precedence(node) {
+    switch (node.type) {
+      case 'LambdaExpression':
+      case 'ConditionalExpression':
+      case 'YieldExpression':
+        return PRECEDENCE.assignment;
+      case 'LogicalExpression':
+        return node.operator === 'or' ? PRECEDENCE.or : PRECEDENCE.and;
+      case 'CompareExpression':
+        if (node.operators.length > 1) return PRECEDENCE.and;
+        if (node.operators[0] === 'not in') return PRECEDENCE.unary;
+        if (node.operators[0] === 'in') return PRECEDENCE.call;
+        if (this.comparesWithEq(node.operators[0], node.left, node.comparators[0])) {
+          return node.operators[0] === '!=' ? PRECEDENCE.unary : PRECEDENCE.call;
+        }
+        return BINARY_PRECEDENCE[comparisonOperator(node.operators[0], node.left, node.comparators[0])];
+      case 'TempAssignment':
+        return PRECEDENCE.assignment;
+      case 'BinaryExpression':
+        if (node.operator === '//' || isStringFormat(node)) return PRECEDENCE.call;
+        return BINARY_PRECEDENCE[node.operator];
+      case 'UnaryExpression':
+      case 'AwaitExpression':
+        return PRECEDENCE.unary;
+      case 'UpdateExpression':
+        return node.prefix ? PRECEDENCE.unary : PRECEDENCE.postfix;
+      case 'NewExpression':
+      case 'BytesLiteral':
+      case 'CallExpression':
+      case 'MemberExpression':
+      case 'SubscriptExpression':
+        return PRECEDENCE.call;
+      case 'ComprehensionExpression':
+        return containsAwait(node) ? PRECEDENCE.unary : PRECEDENCE.call;
+      default:
+        return PRECEDENCE.primary;
+    }
+  }
+
+  // Comprehensions run in a function of their own so that the loop variables
+  // stay local: an arrow IIFE that builds the list, set or dict, or a
+  // generator function for generator expressions. As in Python, the first
+  // iterable is evaluated eagerly in the enclosing scope.
+  generateComprehension(node) {
+    const isGenerator = node.kind === 'generator';
+    const accumulator = isGenerator ? null : this.tempName(node.kind);
+    const firstIterable = isGenerator ? this.tempName('iterable') : null;
+    const yieldScope = this.yieldScope;
+    this.yieldScope = 'comprehension';
+    
+    let body;
+    switch (node.kind) {
+      case 'list':
+        body = `${accumulator}.push(${this.generateExpression(node.element)});`;
+        break;
+      case 'set':
+        body = `${accumulator}.add(${this.generateExpression(node.element)});`;
+        break;
+      case 'dict':
+        body = `${accumulator}[${this.generateExpression(node.key)}] = ${this.generateExpression(node.value)};`;
+        break;
+      default:
+        body = `yield ${this.generateExpression(node.element)};`;
+    }
+    
+    for (let i = node.clauses.length - 1; i >= 0; i--) {
+      const clause = node.clauses[i];
+      if (clause.type === 'if') {
+        body = `if (${this.generateExpression(clause.test)}) ${body}`;
+      } else {
+        const iterable = i === 0 && isGenerator ? firstIterable : this.generateIterable(clause.iterable);
+        body = `for (const ${this.generateTarget(clause.target)} of ${iterable}) ${body}`;
+      }
+    }
+    
+    this.yieldScope = yieldScope;
+    if (isGenerator) {
+      const iterable = this.generateIterable(node.clauses[0].iterable);
+      const asyncKeyword = containsAwait(node) ? 'async ' : '';
+      return `(${asyncKeyword}function* (${firstIterable}) { ${body} }).call(this, ${iterable})`;
+    }
+    
+    const initial = { list: '[]', set: 'new Set()', dict: '{}' }[node.kind];
+    const arrow = `() => { const ${accumulator} = ${initial}; ${body} return ${accumulator}; }`;
+    return containsAwait(node) ? `await (async ${arrow})()` : `(${arrow})()`;
+  }
+
+  // What a `for` walks: dicts and Maps give their keys and objects with
+  // `__iter__` their iterator, while literals and builtins that are already
+  // iterable are used directly.
+  generateIterable(node) {
+    const code = this.generateExpression(node);
+    if (this.isIterable(node)) return code;
+    this.useHelper('__iterate');
+    return `__iterate(${code})`;
+  }
+
+  isIterable(node) {
+    switch (node.type) {
+      case 'ListExpression':
+      case 'TupleExpression':
+      case 'StringLiteral':
+      case 'FStringLiteral':
+      case 'BytesLiteral':
+      case 'TemplateLiteral':
+        return true;
+      case 'ComprehensionExpression':
+        return node.kind !== 'dict';
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier') {
+          return ITERABLE_BUILTINS.includes(node.callee.name) && this.isBuiltinHelper(node.callee.name);
+        }
+        return node.callee.type === 'MemberExpression' && DICT_VIEWS.includes(node.callee.property) && node.arguments.length === 0;
+      default:
+        return false;
+    }
+  }
+
+  generateFString(parts) {
+    return '`' + parts.map(part => {
+      if (typeof part === 'string') return escapeTemplate(part);
+      return (part.debug ? escapeTemplate(part.debug) : '') + '${' + this.generateFStringField(part) + '}';
+    }).join('') + '`';
+  }
+
+  // Conversions go through the builtin repr/str, under aliases that the
+  // file's own names cannot shadow, and specs through __format.
+  generateFStringField(field) {
+    let code = this.generateExpression(field.expression);
+    // Without a spec a field is converted like str(), or repr() for `{x=}`.
+    const conversion = field.conversion || (field.spec ? null : field.debug ? 'r' : 's');
+    if (conversion) {
+      code = `${this.builtin(conversion === 's' ? 'str' : 'repr')}(${code})`;
+    }
+    if (field.spec) {
+      this.useHelper('__format');
+      const spec = field.spec.every(part => typeof part === 'string')
+        ? JSON.stringify(field.spec.join(''))
+        : this.generateFString(field.spec);
+      code = `__format(${code}, ${spec})`;
+    }
+    return code;
+  }
+
+  generateOperand(node, minPrecedence) {
+    const code = this.generateExpression(node);
+    return this.precedence(node) < minPrecedence ? `(${code})` : code;
+  }
+
+  generateExpression(node) {
+    if (!node) return '';
+    
+    switch (node.type) {
+      case 'Identifier':
+        if (this.isBuiltinHelper(node.name)) {
+          this.useHelper(node.name);
+        }
+        if (node.name === this.instanceName) return 'this';
+        if (this.classAttributes && this.classAttributes.names.has(node.name)) {
+          return `${this.classAttributes.name}.${node.name}`;
+        }
+        return node.name;
+      case 'NumberLiteral':
+        return node.value;
+      case 'StringLiteral':
+        return JSON.stringify(node.value);
+      case 'FStringLiteral':
+        return this.generateFString(node.parts);
+      case 'BytesLiteral':
+        return `new Uint8Array([${Array.from(node.value, ch => ch.charCodeAt(0)).join(', ')}])`;
+      case 'TemplateLiteral':
+        return '`' + node.value + '`';
+      case 'BooleanLiteral':
+        return node.value ? 'true' : 'false';
+      case 'NoneLiteral':
+        return 'null';
+      case 'EllipsisLiteral':
+        return "Symbol.for('Ellipsis')";
+      case 'ThisExpression':
+        return 'this';
+      case 'SuperExpression':
+        return 'super';
+      case 'ListExpression':
+      case 'TupleExpression':
+        return '[' + node.elements.map(e => this.generateExpression(e)).join(', ') + ']';
+      case 'SetExpression':
+        return 'new Set([' + node.elements.map(e => this.generateExpression(e)).join(', ') + '])';
+      case 'DictExpression':
+        return this.generateDict(node);
+      case 'SpreadElement':
+        return '...' + this.generateOperand(node.argument, PRECEDENCE.assignment);
       case 'LambdaExpression':
-        return this.indent() + this.generateLambda(node) + ';';
+        return this.generateLambda(node);
+      case 'ComprehensionExpression':
+        return this.generateComprehension(node);
+      case 'ConditionalExpression':
+        return this.generateOperand(node.test, PRECEDENCE.or) + ' ? ' +
+          this.generateOperand(node.consequent, PRECEDENCE.assignment) + ' : ' +
+          this.generateOperand(node.alternate, PRECEDENCE.assignment);
+      case 'LogicalExpression': {
+        const precedence = this.precedence(node);
+        const operator = node.operator === 'or' ? '||' : '&&';
+        return this.generateOperand(node.left, precedence) + ` ${operator} ` + this.generateOperand(node.right, precedence + 1);
+      }
+      case 'UnaryExpression':
+        return this.generateUnary(node);
+      case 'UpdateExpression': {
+        const argument = this.generateOperand(node.argument, PRECEDENCE.postfix);
+        return node.prefix ? node.operator + argument : argument + node.operator;
+      }
       case 'AwaitExpression':
-        return this.indent() + 'await ' + this.generateExpression(node.expression) + ';';
+        return 'await ' + this.generateOperand(node.expression, PRECEDENCE.unary);
+      case 'BinaryExpression':
+        return this.generateBinary(node);
+      case 'CompareExpression':
+        return this.generateCompare(node);
+      case 'TempAssignment':
+        return `${node.name} = ${this.generateOperand(node.value, PRECEDENCE.assignment)}`;
+      case 'CallExpression':
+        return this.generateCall(node);
       case 'YieldExpression':
-        const yieldVal = node.value ? this.generateExpression(node.value) : '';
-        return this.indent() + 'yield' + (yieldVal ? ' ' + yieldVal : '') + ';';
-      case 'ExpressionStatement':
-        const expr = this.generateExpression(node.expression);
-        return expr ? this.indent() + expr + ';' : '';
+        this.checkYield(node);
+        if (!node.value) return 'yield';
+        return (node.delegate ? 'yield* ' : 'yield ') + this.generateOperand(node.value, PRECEDENCE.assignment);
+      case 'NewExpression':
+        return 'new ' + this.generateOperand(node.callee, PRECEDENCE.call) + '(' + this.generateArguments(node.arguments) + ')';
+      case 'MemberExpression':
+        if (node.optional && !this.supports('optionalChaining')) {
+          this.warn(`optional chaining requires es2020 but target is ${this.target}`, node);
+        }
+        if (isSuperCall(node.object)) return `super.${node.property}`;
+        return this.generateOperand(node.object, PRECEDENCE.call) + (node.optional ? '?.' : '.') + node.property;
+      case 'SubscriptExpression':
+        return this.generateSubscript(node);
       default:
-        return '';
+        throw this.error(ERROR_CODES.internal, `Cannot generate expression of type ${node.type}`, node);
     }
   }
 
-  generateFunction(node) {
-    const params = node.params.map(p => {
-      if (p.spread === 'array') return '...' + p.name;
-      if (p.spread === 'dict') return '...' + p.name;
-      if (p.defaultValue) {
-        return p.name + ' = ' + this.generateExpression(p.defaultValue);
+  generateUnary(node) {
+    const operator = node.operator === 'not' ? '!' : node.operator;
+    const argument = this.generateOperand(node.argument, PRECEDENCE.unary);
+    if (/^[a-z]/.test(operator)) {
+      return `${operator} ${argument}`;
+    }
+    if ((operator === '-' || operator === '+') && argument.startsWith(operator)) {
+      return `${operator}(${argument})`;
+    }
+    return operator + argument;
+  }
+
+  generateBinary(node) {
+    if (node.operator === '//') {
+      const left = this.generateOperand(node.left, PRECEDENCE.multiplicative);
+      const right = this.generateOperand(node.right, PRECEDENCE.multiplicative + 1);
+      return `Math.floor(${left} / ${right})`;
+    }
+    
+    if (isStringFormat(node)) {
+      this.useHelper('__percentFormat');
+      return `__percentFormat(${this.generateExpression(node.left)}, ${this.generateExpression(node.right)})`;
+    }
+    
+    const precedence = BINARY_PRECEDENCE[node.operator];
+    
+    if (node.operator === '**') {
+      if (!this.supports('exponent')) {
+        return `Math.pow(${this.generateExpression(node.left)}, ${this.generateExpression(node.right)})`;
       }
-      return p.name;
-    }).join(', ');
+      const left = this.generateOperand(node.left, PRECEDENCE.unary + 1);
+      const right = this.generateOperand(node.right, precedence);
+      return `${left} ** ${right}`;
+    }
     
-    const asyncKeyword = node.isAsync ? 'async ' : '';
+    const left = this.generateOperand(node.left, precedence);
+    const right = this.generateOperand(node.right, precedence + 1);
+    return `${left} ${node.operator} ${right}`;
+  }
+
+  generateComparison(left, operator, right) {
+    if (operator === 'in' || operator === 'not in') {
+      const negate = operator === 'not in' ? '!' : '';
+      if (INCLUDES_CONTAINERS.includes(right.type)) {
+        return `${negate}${this.generateOperand(right, PRECEDENCE.call)}.includes(${this.generateExpression(left)})`;
+      }
+      this.useHelper('__contains');
+      return `${negate}__contains(${this.generateExpression(left)}, ${this.generateExpression(right)})`;
+    }
     
-    let result = this.indent() + `${asyncKeyword}function ${node.name}(${params}) {\n`;
-    this.indentLevel++;
+    if (this.comparesWithEq(operator, left, right)) {
+      this.useHelper('__eq');
+      const negate = operator === '!=' ? '!' : '';
+      return `${negate}__eq(${this.generateExpression(left)}, ${this.generateExpression(right)})`;
+    }
     
-    for (const stmt of node.body) {
-      const code = this.generateStatement(stmt);
-      if (code) result += code + '\n';
+    const jsOperator = comparisonOperator(operator, left, right);
+    const precedence = BINARY_PRECEDENCE[jsOperator];
+    return `${this.generateOperand(left, precedence)} ${jsOperator} ${this.generateOperand(right, precedence + 1)}`;
+  }
+
+  // `==` calls `__eq__` unless neither operand can have one.
+  comparesWithEq(operator, left, right) {
+    const isBuiltin = name => this.isBuiltinHelper(name);
+    return (operator === '==' || operator === '!=') &&
+      left.type !== 'NoneLiteral' && right.type !== 'NoneLiteral' &&
+      !(isPrimitive(left, isBuiltin) && isPrimitive(right, isBuiltin));
+  }
+
+  // `a < b() < c` evaluates `b()` once: it is assigned to a temporary, declared
+  // before the statement, when it is first compared.
+  generateCompare(node) {
+    const parts = [];
+    let left = node.left;
+    
+    node.operators.forEach((operator, i) => {
+      let right = node.comparators[i];
+      let next = right;
+      if (i < node.operators.length - 1 && !isSimpleOperand(right)) {
+        const name = this.tempName('cmp');
+        this.statementTemps.push(name);
+        next = { type: 'Identifier', name };
+        right = { type: 'TempAssignment', name, value: right };
+      }
+      parts.push(this.generateComparison(left, operator, right));
+      left = next;
+    });
+    
+    return parts.join(' && ');
+  }
+
+  // Keyword arguments become a trailing options object. Unless `plain` is
+  // set it is tagged with __keywords so that IndentScript functions taking
+  // keywords can bind it to their parameters.
+  generateArguments(args, plain = false) {
+    const positional = [];
+    const keywords = [];
+    
+    for (const arg of args) {
+      if (arg.type === 'KeywordArgument') {
+        keywords.push(`${arg.name}: ${this.generateExpression(arg.value)}`);
+      } else if (arg.type === 'KeywordSpread') {
+        keywords.push('...' + this.generateOperand(arg.argument, PRECEDENCE.assignment));
+      } else {
+        positional.push(this.generateExpression(arg));
+      }
     }
     
-    this.indentLevel--;
-    result += this.indent() + '}';
-    return result;
+    if (keywords.length > 0) {
+      const mapping = `{ ${keywords.join(', ')} }`;
+      if (plain) {
+        positional.push(mapping);
+      } else {
+        this.useHelper('__keywords');
+        positional.push(`__keywords(${mapping})`);
+      }
+    }
+    
+    return positional.join(', ');
   }
 
-  generateClass(node) {
-    const extendsClause = node.superClass ? ` extends ${node.superClass}` : '';
-    let result = this.indent() + `class ${node.name}${extendsClause} {\n`;
-    this.indentLevel++;
+  // Keyword arguments to a resolved function with a plain JavaScript
+  // signature are moved into position at compile time; a skipped parameter
+  // that has a default is passed as undefined.
+  bindArguments(node) {
+    const fn = callSignature(node.resolved);
+    const args = node.arguments;
+    if (!fn || !isNativeSignature(fn.params) || !args.some(arg => arg.type === 'KeywordArgument' || arg.type === 'KeywordSpread')) {
+      return args;
+    }
     
-    for (const prop of node.properties) {
-      const code = this.generateStatement(prop);
-      if (code) result += code + '\n';
+    if (args.some(arg => arg.type === 'SpreadElement' || arg.type === 'KeywordSpread')) {
+      if (fn.params.length > 0) return args;
+      throw this.error(ERROR_CODES.invalidArguments,
+        `${fn.name}() takes no keyword arguments at runtime, so they cannot be combined with * or ** unpacking`, node);
     }
     
-    for (const method of node.methods) {
-      const isConstructor = method.name === '__init__';
-      const isStatic = method.decorator === 'staticmethod';
-      const isGetter = method.decorator === 'property';
-      
-      const methodName = isConstructor ? 'constructor' : method.name;
-      const staticKeyword = isStatic ? 'static ' : '';
-      const getterKeyword = isGetter ? 'get ' : '';
-      
-      const params = method.params.map(p => {
-        if (p.spread === 'array') return '...' + p.name;
-        if (p.spread === 'dict') return '...' + p.name;
-        if (p.defaultValue) {
-          return p.name + ' = ' + this.generateExpression(p.defaultValue);
-        }
-        return p.name;
-      }).filter(p => p !== 'self').join(', ');
-      
-      result += this.indent() + `${staticKeyword}${getterKeyword}${methodName}(${params}) {\n`;
-      this.indentLevel++;
-      
-      for (const stmt of method.body) {
-        const code = this.generateStatement(stmt);
-        if (code) result += code + '\n';
+    const names = fn.params.filter(p => !p.spread).map(p => p.name);
+    const bound = args.filter(arg => arg.type !== 'KeywordArgument');
+    
+    for (const arg of args) {
+      if (arg.type !== 'KeywordArgument') continue;
+      const index = names.indexOf(arg.name);
+      if (index === -1) {
+        throw this.error(ERROR_CODES.invalidArguments, `${fn.name}() got an unexpected keyword argument '${arg.name}'`, node);
       }
-      
-      this.indentLevel--;
-      result += this.indent() + '}\n\n';
+      if (index < bound.length && bound[index] !== undefined) {
+        throw this.error(ERROR_CODES.invalidArguments, `${fn.name}() got multiple values for argument '${arg.name}'`, node);
+      }
+      bound[index] = arg.value;
     }
     
-    this.indentLevel--;
-    result += this.indent() + '}';
-    return result;
+    const params = fn.params.filter(p => !p.spread);
+    const missing = params.filter((p, index) => index < bound.length && bound[index] === undefined && !p.defaultValue);
+    if (missing.length > 0) {
+      throw this.error(ERROR_CODES.invalidArguments, `${fn.name}() missing required argument '${missing[0].name}'`, node);
+    }
+    
+    return Array.from(bound, arg => arg || { type: 'Identifier', name: 'undefined' });
   }
 
-  generateForIn(node) {
-    if (node.variables.length === 1) {
-      const varName = node.variables[0];
-      const iterable = this.generateExpression(node.iterable);
+  // `print()` renders every value with str(), as Python does, rather than
+  // leaving it to console.log's inspection.
+  generatePrintCall(node) {
+    const values = node.arguments.filter(arg => arg.type !== 'KeywordArgument' && arg.type !== 'KeywordSpread');
+    const keywords = node.arguments.filter(arg => arg.type === 'KeywordArgument' || arg.type === 'KeywordSpread');
+    const unexpected = keywords.find(arg => arg.type === 'KeywordArgument' && arg.name !== 'sep' && arg.name !== 'end');
+    if (unexpected) {
+      throw this.error(ERROR_CODES.invalidArguments, `print() got an unexpected keyword argument '${unexpected.name}'`, node);
+    }
+    
+    this.useHelper('__print');
+    if (keywords.length === 0) {
+      return `__print([${this.generateArguments(values)}])`;
+    }
+    return `__print([${this.generateArguments(values)}], ${this.generateArguments(keywords, true)})`;
+  }
+
+  generateCall(node) {
+    const callee = node.callee;
+    const args = node.arguments;
+    
+    if (callee.type === 'Identifier') {
+      switch (callee.name) {
+        case 'print':
+          return this.generatePrintCall(node);
+        case 'range':
+          this.checkRangeArguments(node);
+          break;
+      }
+    }
+    
+    if (callee.type === 'Identifier' && this.isBuiltinHelper(callee.name) && HELPERS[callee.name].isClass) {
+      return this.generateExpression({ type: 'NewExpression', callee, arguments: args });
+    }
+    
+    if (callee.type === 'MemberExpression' && callee.property === '__init__' && isSuperCall(callee.object)) {
+      return `super(${this.generateArguments(args)})`;
+    }
+    
+    if (callee.type === 'MemberExpression' && callee.property === 'format' && !isSuperCall(callee.object)) {
+      this.useHelper('__formatString');
+      return `__formatString(${this.generateArguments([callee.object].concat(args))})`;
+    }
+    
+    if (callee.type === 'MemberExpression' && DICT_VIEWS.includes(callee.property) && args.length === 0) {
+      this.useHelper('__dictView');
+      return `__dictView(${this.generateExpression(callee.object)}, '${callee.property}')`;
+    }
+    
+    // Classes are called like functions in Python.
+    if (node.resolved && (node.resolved.type === 'ClassDeclaration' || node.resolved.type === 'ImportedClass') ||
+        (callee.type === 'Identifier' && callee.name === this.classParameter)) {
+      return this.generateExpression({ type: 'NewExpression', callee, arguments: this.bindArguments(node) });
+    }
+    
+    if (callee.type === 'MemberExpression' && PYTHON_METHODS[callee.property] && !isSuperCall(callee.object)) {
+      const object = this.generateOperand(callee.object, PRECEDENCE.call);
+      const dot = callee.optional ? '?.' : '.';
       
-      let result = this.indent() + `for (const ${varName} of ${iterable}) {\n`;
-      this.indentLevel++;
+      if ((callee.property === 'lstrip' || callee.property === 'rstrip') && args.length === 0 && !this.supports('trimStartEnd')) {
+        return `${object}${dot}replace(${callee.property === 'lstrip' ? '/^\\s+/' : '/\\s+$/'}, '')`;
+      }
       
-      for (const stmt of node.body) {
-        const code = this.generateStatement(stmt);
-        if (code) result += code + '\n';
+      if (callee.property === 'extend') {
+        const spread = args.map(arg => arg.type === 'SpreadElement' ? arg : { type: 'SpreadElement', argument: arg });
+        return `${object}${dot}push(${this.generateArguments(spread, true)})`;
       }
       
-      this.indentLevel--;
-      result += this.indent() + '}';
-      return result;
-    } else {
-      const varNames = node.variables.join(', ');
-      const iterable = this.generateExpression(node.iterable);
+      return `${object}${dot}${PYTHON_METHODS[callee.property]}(${this.generateArguments(args, true)})`;
+    }
+    
+    return this.generateOperand(callee, PRECEDENCE.call) + '(' + this.generateArguments(this.bindArguments(node)) + ')';
+  }
+
+  checkRangeArguments(node) {
+    const count = node.arguments.length;
+    if (this.isBuiltinHelper('range') && node.arguments.every(arg => arg.type !== 'SpreadElement') && (count < 1 || count > 3)) {
+      throw this.error(ERROR_CODES.invalidArguments, `range expected 1 to 3 arguments, got ${count}`, node);
+    }
+  }
+
+  generateDict(node) {
+    if (node.entries.length === 0) return '{}';
+    
+    const entries = node.entries.map(entry => {
+      if (entry.spread) {
+        return '...' + this.generateOperand(entry.spread, PRECEDENCE.assignment);
+      }
       
-      let result = this.indent() + `for (const [${varNames}] of ${iterable}) {\n`;
-      this.indentLevel++;
+      const value = this.generateOperand(entry.value, PRECEDENCE.assignment);
+      const key = entry.key;
       
-      for (const stmt of node.body) {
-        const code = this.generateStatement(stmt);
-        if (code) result += code + '\n';
+      // Bare names keep their JavaScript meaning ({name: 1} has the key "name"),
+      // literal keys are emitted as-is and everything else becomes a computed key.
+      if (key.type === 'Identifier' || key.type === 'StringLiteral' || key.type === 'NumberLiteral') {
+        return `${this.generateExpression(key)}: ${value}`;
       }
-      
-      this.indentLevel--;
-      result += this.indent() + '}';
-      return result;
-    }
+      return `[${this.generateExpression(key)}]: ${value}`;
+    });
+    
+    return `{ ${entries.join(', ')} }`;
   }
+}
 
-  generateIf(node) {
-    const condition = this.generateExpression(node.condition);
-    let result = this.indent() + `if (${condition}) {\n`;
-    this.indentLevel++;
+// TypeScript spellings of Python types that take no arguments. Generic forms
+// such as list[int] or Callable[[int], str] are handled in generateType.
+const TYPESCRIPT_TYPES = {
+  int: 'number',
+  float: 'number',
+  complex: 'number',
+  str: 'string',
+  bool: 'boolean',
+  bytes: 'Uint8Array',
+  bytearray: 'Uint8Array',
+  object: 'unknown',
+  Any: 'any',
+  NoReturn: 'never',
+  Never: 'never',
+  Self: 'this'
+};
+
+// Builds a module's .d.ts from its exports. Unannotated parameters and
+// values are typed `any`, and local classes or imports that an exported
+// signature mentions are declared alongside it.
+class DeclarationGenerator {
+  constructor(ast, generator) {
+    this.ast = ast;
+    this.generator = generator;
+    this.referenced = new Set();
+  }
+
+  generate() {
+    const locals = new Map();
+    const imports = new Map();
+    const declared = new Set();
+    const lines = [];
+    let defaultExport = null;
     
-    for (const stmt of node.consequent) {
-      const code = this.generateStatement(stmt);
-      if (code) result += code + '\n';
+    for (const statement of this.ast.body.filter(Boolean)) {
+      if (statement.type === 'ExportStatement') {
+        const declaration = statement.declaration;
+        lines.push(this.generateDeclaration(declaration, 'export '));
+        declared.add(declaration.name || (declaration.target || declaration.targets[0]).name);
+      } else if (statement.type === 'ExportDefault') {
+        defaultExport = statement.expression;
+      } else if (statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') {
+        locals.set(statement.name, statement);
+      } else if (statement.type === 'AssignmentStatement' && statement.targets[0].type === 'Identifier') {
+        locals.set(statement.targets[0].name, statement);
+      } else if (statement.type === 'FromImportStatement' && !TYPING_MODULES.includes(statement.module)) {
+        statement.imports.forEach(i => imports.set(i.alias || i.name, Object.assign({}, statement, { imports: [i] })));
+      } else if (statement.type === 'ImportStatement') {
+        statement.modules.forEach(m => imports.set(m.alias || m.module, Object.assign({}, statement, { modules: [m] })));
+      }
     }
     
-    this.indentLevel--;
-    result += this.indent() + '}';
+    if (defaultExport) {
+      const name = defaultExport.type === 'Identifier' &&
+        (locals.has(defaultExport.name) || declared.has(defaultExport.name)) ? defaultExport.name : null;
+      if (name) {
+        this.referenced.add(name);
+      } else {
+        lines.push('declare const _default: any;');
+      }
+      lines.push(this.generator.moduleFormat === 'commonjs' ? `export = ${name || '_default'};` : `export default ${name || '_default'};`);
+    }
     
-    if (node.alternate) {
-      if (Array.isArray(node.alternate)) {
-        result += ' else {\n';
-        this.indentLevel++;
-        
-        for (const stmt of node.alternate) {
-          const code = this.generateStatement(stmt);
-          if (code) result += code + '\n';
+    // Declaring a class can mention further names, so repeat until every
+    // referenced name is declared or imported.
+    const importLines = [];
+    for (let pending = this.pending(declared); pending.length > 0; pending = this.pending(declared)) {
+      for (const name of pending) {
+        declared.add(name);
+        if (locals.has(name)) {
+          lines.push(this.generateDeclaration(locals.get(name), ''));
+        } else if (imports.has(name)) {
+          importLines.push(this.generator.generateStatementCode(imports.get(name)));
         }
-        
-        this.indentLevel--;
-        result += this.indent() + '}';
-      } else {
-        result += ' else ' + this.generateIf(node.alternate).trim();
       }
     }
     
-    return result;
+    if (!lines.some(line => line.startsWith('export'))) lines.push('export {};');
+    return importLines.concat(lines).join('\n') + '\n';
   }
 
-  generateWhile(node) {
-    const condition = this.generateExpression(node.condition);
-    let result = this.indent() + `while (${condition}) {\n`;
-    this.indentLevel++;
-    
-    for (const stmt of node.body) {
-      const code = this.generateStatement(stmt);
-      if (code) result += code + '\n';
+  pending(declared) {
+    return Array.from(this.referenced).filter(name => !declared.has(name));
+  }
+
+  generateDeclaration(node, prefix) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        return `${prefix}declare function ${node.name}(${this.generateParams(node.params)}): ${this.returnType(node)};`;
+      case 'ClassDeclaration':
+        return this.generateClass(node, prefix);
+      case 'VariableDeclaration':
+        return `${prefix}declare ${node.kind} ${node.target.name}: ${this.valueType(node)};`;
+      default: {
+        // A TypeVar or alias assigned at module level has no static type.
+        if (!prefix && !node.annotation) return `type ${node.targets[0].name} = any;`;
+        return `${prefix}declare ${node.declaration === 'const' ? 'const' : 'let'} ${node.targets[0].name}: ${this.valueType(node)};`;
+      }
     }
-    
-    this.indentLevel--;
-    result += this.indent() + '}';
-    return result;
   }
 
-  generateTry(node) {
-    let result = this.indent() + 'try {\n';
-    this.indentLevel++;
+  generateClass(node, prefix) {
+    const fields = new Map();
+    const members = [];
+    const field = (name, annotation, value, isStatic = false) => {
+      const isClassVar = annotation && annotation.type === 'TypeReference' && /^(typing\.)?ClassVar$/.test(annotation.name);
+      const key = `${isStatic || isClassVar ? 'static ' : ''}${name}`;
+      if (fields.has(key)) return;
+      const type = isClassVar ? (annotation.args[0] ? this.generateType(annotation.args[0]) : 'any') : this.valueType({ annotation, value });
+      fields.set(key, `  ${key}: ${type};`);
+    };
     
-    for (const stmt of node.tryBlock) {
-      const code = this.generateStatement(stmt);
-      if (code) result += code + '\n';
+    // Assigned class attributes are static and also readable on instances.
+    for (const property of node.properties) {
+      if (property.type === 'AnnotationStatement' && property.target.type === 'Identifier') {
+        field(property.target.name, property.annotation, null);
+      } else if (property.type === 'AssignmentStatement' && property.targets.length === 1 && property.targets[0].type === 'Identifier') {
+        const name = property.targets[0].name;
+        field(name, property.annotation, property.value, true);
+        if (!isDunderName(name)) field(name, property.annotation, property.value);
+      }
     }
     
-    this.indentLevel--;
-    result += this.indent() + '}';
-    
-    for (const handler of node.handlers) {
-      const errorName = handler.errorName || 'error';
-      result += ` catch (${errorName}) {\n`;
-      this.indentLevel++;
+    for (const method of node.methods) {
+      const kinds = (method.decorators || []).map(decorator => methodDecoratorKind(decorator, method.name));
+      const params = kinds.includes('staticmethod') ? method.params : method.params.slice(1);
+      const signature = `(${this.generateParams(params)})`;
       
-      for (const stmt of handler.body) {
-        const code = this.generateStatement(stmt);
-        if (code) result += code + '\n';
+      if (method.name === '__init__') {
+        members.push(`  constructor${signature};`);
+        // Attributes annotated in the constructor: `self.name: str = name`.
+        const self = method.params[0] && method.params[0].name;
+        for (const statement of method.body) {
+          const target = statement.type === 'AnnotationStatement' ? statement.target : statement.type === 'AssignmentStatement' ? statement.targets[0] : null;
+          if (statement.annotation && target.type === 'MemberExpression' && target.object.type === 'Identifier' && target.object.name === self) {
+            field(target.property, statement.annotation, null);
+          }
+        }
+      } else if (kinds.includes('property')) {
+        members.push(`  get ${method.name}(): ${this.returnType(method)};`);
+      } else if (kinds.includes('setter')) {
+        members.push(`  set ${method.name}${signature};`);
+      } else if (!kinds.includes('deleter')) {
+        const modifier = kinds.includes('staticmethod') || kinds.includes('classmethod') ? 'static ' : '';
+        members.push(`  ${modifier}${method.name}${signature}: ${this.returnType(method)};`);
       }
       
-      this.indentLevel--;
-      result += this.indent() + '}';
+      if (method.name === '__iter__') {
+        members.push(`  [Symbol.iterator](): ${this.returnType(method)};`);
+      }
     }
     
-    if (node.finallyBlock) {
-      result += ' finally {\n';
-      this.indentLevel++;
-      
-      for (const stmt of node.finallyBlock) {
-        const code = this.generateStatement(stmt);
-        if (code) result += code + '\n';
+    if (node.superClass) this.referenced.add(node.superClass);
+    const heritage = node.superClass ? ` extends ${node.superClass}` : '';
+    return [`${prefix}declare class ${node.name}${heritage} {`].concat(Array.from(fields.values()), members, '}').join('\n');
+  }
+
+  // Keyword-only parameters and **kwargs can only be passed by keyword,
+  // which JavaScript callers cannot do.
+  generateParams(params) {
+    return params.filter(param => !param.keywordOnly && param.spread !== 'dict').map(param => {
+      const type = param.annotation ? this.generateType(param.annotation) : 'any';
+      if (param.spread === 'array') return `...${param.name}: ${arrayType(type)}`;
+      return `${param.name}${param.defaultValue ? '?' : ''}: ${type}`;
+    }).join(', ');
+  }
+
+  returnType(fn) {
+    if (containsYield(fn.body) && !fn.returnType) {
+      return fn.isAsync ? 'AsyncGenerator<any>' : 'Generator<any>';
+    }
+    const type = fn.returnType ? this.generateType(fn.returnType, true) : 'any';
+    return fn.isAsync && !containsYield(fn.body) ? `Promise<${type}>` : type;
+  }
+
+  valueType(node) {
+    if (node.annotation) return this.generateType(node.annotation);
+    switch (node.value && node.value.type) {
+      case 'NumberLiteral':
+        return 'number';
+      case 'StringLiteral':
+      case 'FStringLiteral':
+      case 'TemplateLiteral':
+        return 'string';
+      case 'BytesLiteral':
+        return 'Uint8Array';
+      case 'BooleanLiteral':
+        return 'boolean';
+      default:
+        return 'any';
+    }
+  }
+
+  generateType(node, isReturn = false) {
+    switch (node.type) {
+      case 'TypeUnion':
+        return node.types.map(type => parenthesizeType(this.generateType(type))).join(' | ');
+      case 'TypeList':
+        return `[${node.types.map(type => this.generateType(type)).join(', ')}]`;
+      case 'TypeLiteral':
+        return this.generator.generateExpression(node.value);
+      case 'TypeEllipsis':
+        return 'any';
+    }
+    
+    const name = node.name.replace(/^(typing|typing_extensions|collections\.abc)\./, '');
+    const args = node.args.map(arg => this.generateType(arg, name === 'Generator' || name === 'Coroutine'));
+    const arg = (index, fallback = 'any') => args[index] || fallback;
+    
+    switch (name) {
+      case 'None':
+        return isReturn ? 'void' : 'null';
+      case 'Optional':
+        return `${parenthesizeType(arg(0))} | null`;
+      case 'Union':
+        return args.map(parenthesizeType).join(' | ');
+      case 'Literal':
+        return args.join(' | ');
+      case 'list':
+      case 'List':
+      case 'MutableSequence':
+        return arrayType(arg(0));
+      case 'Sequence':
+        return `readonly ${arrayType(arg(0))}`;
+      case 'tuple':
+      case 'Tuple':
+        if (args.length === 0) return 'any[]';
+        if (node.args.length === 2 && node.args[1].type === 'TypeEllipsis') return arrayType(args[0]);
+        return `[${args.join(', ')}]`;
+      case 'dict':
+      case 'Dict':
+      case 'Mapping':
+      case 'MutableMapping':
+        // Dicts compile to plain objects, whose keys are strings.
+        return `Record<${arg(0) === 'number' ? 'number' : 'string'}, ${arg(1)}>`;
+      case 'set':
+      case 'Set':
+      case 'MutableSet':
+        return `Set<${arg(0)}>`;
+      case 'frozenset':
+      case 'FrozenSet':
+      case 'AbstractSet':
+        return `ReadonlySet<${arg(0)}>`;
+      case 'type':
+      case 'Type': {
+        const target = node.args[0];
+        const isClass = target && target.type === 'TypeReference' && target.args.length === 0 && !TYPESCRIPT_TYPES[target.name];
+        return isClass ? `typeof ${args[0]}` : 'Function';
       }
-      
-      this.indentLevel--;
-      result += this.indent() + '}';
+      case 'Callable': {
+        if (node.args.length !== 2) return '(...args: any[]) => any';
+        const params = node.args[0].type === 'TypeList'
+          ? node.args[0].types.map((type, i) => `arg${i}: ${this.generateType(type)}`).join(', ')
+          : '...args: any[]';
+        return `(${params}) => ${this.generateType(node.args[1], true)}`;
+      }
+      case 'Iterable':
+      case 'Iterator':
+      case 'AsyncIterable':
+      case 'AsyncIterator':
+        return `${name}<${arg(0)}>`;
+      case 'Generator':
+        return `Generator<${arg(0)}, ${arg(2)}, ${arg(1)}>`;
+      case 'AsyncGenerator':
+        return `AsyncGenerator<${arg(0)}, void, ${arg(1)}>`;
+      case 'Awaitable':
+        return `PromiseLike<${arg(0)}>`;
+      case 'Coroutine':
+        return `Promise<${arg(2)}>`;
     }
     
-    return result;
+    if (TYPESCRIPT_TYPES[name]) return TYPESCRIPT_TYPES[name];
+    this.referenced.add(name.split('.')[0]);
+    return args.length > 0 ? `${name}<${args.join(', ')}>` : name;
   }
+}
 
-  generateWith(node) {
-    const context = this.generateExpression(node.context);
-    const alias = node.alias || 'ctx';
-    
-    let result = this.indent() + `{\n`;
-    this.indentLevel++;
-    result += this.indent() + `const ${alias} = ${context};\n`;
+// Function types need parentheses inside unions, and unions inside arrays.
+function parenthesizeType(type, inUnion = true) {
+  let depth = 0;
+  for (let i = 0; i < type.length; i++) {
+    if ('<([{'.includes(type[i])) depth++;
+    else if ('>)]}'.includes(type[i]) && type[i - 1] !== '=') depth--;
+    else if (depth === 0 && (type.startsWith('=>', i) || (!inUnion && type.startsWith(' | ', i)))) return `(${type})`;
+  }
+  return type;
+}
+
+function arrayType(type) {
+  return (type.startsWith('readonly ') ? `(${type})` : parenthesizeType(type, false)) + '[]';
+}
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = '';
+  
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64_DIGITS[digit];
+  } while (vlq > 0);
+  
+  return encoded;
+}
+
+class SourceMap {
+  constructor(file, source, sourceContent, mappings) {
+    this.file = file;
+    this.sources = [source];
+    this.sourcesContent = [sourceContent];
+    this.mappings = mappings;
+  }
+
+  encodeMappings() {
+    const lines = [];
+    let previousLine = 0;
+    let previousOriginalLine = 0;
+    let previousOriginalColumn = 0;
+    let previousSource = 0;
+    let segments = [];
+    let previousColumn = 0;
     
-    for (const stmt of node.body) {
-      const code = this.generateStatement(stmt);
-      if (code) result += code + '\n';
+    for (const mapping of this.mappings) {
+      while (previousLine < mapping.generatedLine) {
+        lines.push(segments.join(','));
+        segments = [];
+        previousColumn = 0;
+        previousLine++;
+      }
+      
+      segments.push(
+        encodeVLQ(mapping.generatedColumn - previousColumn) +
+        encodeVLQ(0 - previousSource) +
+        encodeVLQ(mapping.originalLine - previousOriginalLine) +
+        encodeVLQ(mapping.originalColumn - previousOriginalColumn)
+      );
+      
+      previousColumn = mapping.generatedColumn;
+      previousSource = 0;
+      previousOriginalLine = mapping.originalLine;
+      previousOriginalColumn = mapping.originalColumn;
     }
+    lines.push(segments.join(','));
     
-    this.indentLevel--;
-    result += this.indent() + '}';
-    return result;
+    return lines.join(';');
   }
 
-  generateReturn(node) {
-    if (!node.value) {
-      return this.indent() + 'return;';
+  originalPositionFor(line, column) {
+    const generatedLine = line - 1;
+    const generatedColumn = column - 1;
+    let best = null;
+    
+    for (const mapping of this.mappings) {
+      if (mapping.generatedLine > generatedLine) break;
+      if (mapping.generatedLine === generatedLine && mapping.generatedColumn > generatedColumn) {
+        if (!best || best.generatedLine < generatedLine) best = mapping;
+        break;
+      }
+      best = mapping;
     }
-    return this.indent() + 'return ' + this.generateExpression(node.value) + ';';
+    
+    if (!best) return null;
+    return { line: best.originalLine + 1, column: best.originalColumn + 1 };
+  }
+
+  toJSON() {
+    return {
+      version: 3,
+      file: this.file,
+      sources: this.sources,
+      sourcesContent: this.sourcesContent,
+      names: [],
+      mappings: this.encodeMappings()
+    };
   }
 
-  generateRaise(node) {
-    return this.indent() + 'throw ' + this.generateExpression(node.error) + ';';
+  toString() {
+    return JSON.stringify(this);
   }
 
-  generateAssert(node) {
-    const condition = this.generateExpression(node.condition);
-    const message = node.message ? this.generateExpression(node.message) : '"Assertion failed"';
-    return this.indent() + `if (!(${condition})) throw new Error(${message});`;
+  toComment() {
+    const encoded = Buffer.from(this.toString(), 'utf8').toString('base64');
+    return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encoded}`;
   }
+}
 
-  generatePrint(node) {
-    const args = node.arguments.map(arg => this.generateExpression(arg)).join(', ');
-    return this.indent() + `console.log(${args});`;
+const sourceMapRegistry = new Map();
+
+function originalPositionFor(fileName, line, column) {
+  const map = sourceMapRegistry.get(fileName);
+  if (map) return map.originalPositionFor(line, column);
+  
+  // ES modules are compiled in the loader thread, which hands its source map
+  // to Node inline; Node keeps it because register() enables source maps.
+  const nodeMap = fileName.endsWith('.isc') && typeof Module.findSourceMap === 'function' &&
+    Module.findSourceMap(fileName);
+  if (!nodeMap) return null;
+  
+  const entry = nodeMap.findEntry(line - 1, column - 1);
+  if (!entry || entry.originalLine === undefined) return null;
+  return { line: entry.originalLine + 1, column: entry.originalColumn + 1 };
+}
+
+function formatStackFrame(frame) {
+  const text = frame.toString();
+  const fileName = frame.getFileName();
+  if (!fileName) return text;
+  
+  const line = frame.getLineNumber();
+  const column = frame.getColumnNumber();
+  const original = originalPositionFor(fileName, line, column);
+  if (!original) return text;
+  
+  return text.replace(`${fileName}:${line}:${column}`, `${fileName}:${original.line}:${original.column}`);
+}
+
+// A stand-in for a V8 CallSite that reports the .isc position, for handing
+// to a stack trace handler that was installed before ours.
+function mappedCallSite(frame) {
+  const fileName = frame.getFileName();
+  const original = fileName && originalPositionFor(fileName, frame.getLineNumber(), frame.getColumnNumber());
+  if (!original) return frame;
+  
+  const site = {};
+  for (const key of Object.getOwnPropertyNames(Object.getPrototypeOf(frame))) {
+    if (key !== 'constructor' && typeof frame[key] === 'function') {
+      site[key] = frame[key].bind(frame);
+    }
   }
+  site.getLineNumber = () => original.line;
+  site.getColumnNumber = () => original.column;
+  site.toString = () => formatStackFrame(frame);
+  return site;
+}
 
-  generateImport(node) {
-    const imports = node.modules.map(m => {
-      if (m.alias) {
-        return `import * as ${m.alias} from '${m.module}';`;
+function registerSourceMap(filename, map) {
+  if (sourceMapRegistry.size === 0) {
+    const previous = Error.prepareStackTrace;
+    Error.prepareStackTrace = (error, frames) => {
+      if (typeof previous === 'function') {
+        return previous(error, frames.map(mappedCallSite));
       }
-      return `import ${m.module} from '${m.module}';`;
-    });
-    return this.indent() + imports.join('\n' + this.indent());
+      const header = Error.prototype.toString.call(error);
+      return [header].concat(frames.map(frame => `    at ${formatStackFrame(frame)}`)).join('\n');
+    };
   }
+  sourceMapRegistry.set(filename, map);
+}
 
-  generateFromImport(node) {
-    const imports = node.imports.map(i => {
-      if (i.name === '*') {
-        return `* from '${node.module}'`;
-      }
-      if (i.alias) {
-        return `${i.name} as ${i.alias}`;
-      }
-      return i.name;
-    }).join(', ');
-    
-    if (node.imports[0] && node.imports[0].name === '*') {
-      return this.indent() + `import ${imports};`;
+const compiledModules = new Map();
+
+// Compiles an .isc file for loading at runtime, reusing the previous result
+// until the file changes on disk.
+function compileModule(filename, format, options = {}) {
+  const key = `${format}:${filename}`;
+  const { mtimeMs } = fs.statSync(filename);
+  const cached = compiledModules.get(key);
+  if (cached && cached.mtimeMs === mtimeMs) return cached;
+  
+  const code = fs.readFileSync(filename, 'utf8');
+  const result = new IndentScript(options).compile(code, { filename, sourceMap: true, module: format });
+  const compiled = { mtimeMs, code: result.code, map: result.map };
+  compiledModules.set(key, compiled);
+  return compiled;
+}
+
+let registered = false;
+
+// Lets Node load .isc files directly: require() goes through a
+// require.extensions handler and import through the hooks in loader.mjs.
+function register(options = {}) {
+  if (registered) return;
+  registered = true;
+  
+  Module._extensions['.isc'] = (mod, filename) => {
+    const compiled = compileModule(filename, 'commonjs', options);
+    registerSourceMap(filename, compiled.map);
+    mod._compile(compiled.code, filename);
+  };
+  
+  if (typeof Module.register === 'function') {
+    if (typeof process.setSourceMapsEnabled === 'function') {
+      process.setSourceMapsEnabled(true);
     }
-    
-    return this.indent() + `import { ${imports} } from '${node.module}';`;
+    Module.register('./loader.mjs', url.pathToFileURL(__filename), { data: options });
   }
+}
 
-  generateLambda(node) {
-    const params = node.params.join(', ');
-    const body = this.generateExpression(node.body);
-    return `(${params}) => ${body}`;
-  }
+const CONFIG_FILE = 'indentscript.json';
 
-  generateExpression(node) {
-    if (!node || !node.tokens) return '';
-    
-    let result = '';
-    let i = 0;
-    
-    while (i < node.tokens.length) {
-      const token = node.tokens[i];
-      
-      if (token.type === 'FSTRING') {
-        let processed = token.value.replace(/\{([^}]+)\}/g, '${$1}');
-        result += '`' + processed + '`';
-      } else if (token.type === 'STRING') {
-        result += '"' + token.value.replace(/"/g, '\\"') + '"';
-      } else if (token.type === 'TEMPLATE') {
-        result += '`' + token.value + '`';
-      } else if (token.type === 'KEYWORD') {
-        if (token.value === 'None') {
-          result += 'null';
-        } else if (token.value === 'True') {
-          result += 'true';
-        } else if (token.value === 'False') {
-          result += 'false';
-        } else if (token.value === 'and') {
-          result += ' && ';
-        } else if (token.value === 'or') {
-          result += ' || ';
-        } else if (token.value === 'not') {
-          result += '!';
-        } else if (token.value === 'is') {
-          result += ' === ';
-        } else if (token.value === 'in') {
-          result += ' in ';
-        } else if (token.value === 'lambda') {
-          const lambdaTokens = [];
-          i++;
-          while (i < node.tokens.length) {
-            lambdaTokens.push(node.tokens[i]);
-            i++;
-          }
-          
-          const colonIndex = lambdaTokens.findIndex(t => t.value === ':');
-          const params = lambdaTokens.slice(0, colonIndex).filter(t => t.type === 'IDENTIFIER').map(t => t.value).join(', ');
-          const bodyTokens = lambdaTokens.slice(colonIndex + 1);
-          const body = this.generateExpression({ type: 'Expression', tokens: bodyTokens });
-          
-          result += `(${params}) => ${body}`;
-          break;
-        } else if (token.value === 'len') {
-          if (i + 1 < node.tokens.length && node.tokens[i + 1].value === '(') {
-            i++;
-            i++;
-            const argTokens = [];
-            let depth = 1;
-            while (i < node.tokens.length && depth > 0) {
-              if (node.tokens[i].value === '(') depth++;
-              if (node.tokens[i].value === ')') depth--;
-              if (depth > 0) argTokens.push(node.tokens[i]);
-              i++;
-            }
-            i--;
-            const arg = this.generateExpression({ type: 'Expression', tokens: argTokens });
-            result += arg + '.length';
-          } else {
-            result += 'length';
-          }
-        } else if (token.value === 'range') {
-          i++;
-          if (i < node.tokens.length && node.tokens[i].value === '(') {
-            i++;
-            const rangeArgs = [];
-            let depth = 1;
-            while (i < node.tokens.length && depth > 0) {
-              if (node.tokens[i].value === '(') depth++;
-              if (node.tokens[i].value === ')') depth--;
-              if (depth > 0) rangeArgs.push(node.tokens[i]);
-              i++;
-            }
-            i--;
-            
-            const args = [];
-            let currentArg = [];
-            for (const t of rangeArgs) {
-              if (t.value === ',') {
-                if (currentArg.length > 0) {
-                  args.push(this.generateExpression({ type: 'Expression', tokens: currentArg }));
-                  currentArg = [];
-                }
-              } else {
-                currentArg.push(t);
-              }
-            }
-            if (currentArg.length > 0) {
-              args.push(this.generateExpression({ type: 'Expression', tokens: currentArg }));
-            }
-            
-            if (args.length === 1) {
-              result += `Array.from({length: ${args[0]}}, (_, i) => i)`;
-            } else if (args.length === 2) {
-              result += `Array.from({length: ${args[1]} - ${args[0]}}, (_, i) => i + ${args[0]})`;
-            } else if (args.length === 3) {
-              result += `Array.from({length: Math.ceil((${args[1]} - ${args[0]}) / ${args[2]})}, (_, i) => ${args[0]} + i * ${args[2]})`;
-            }
-          }
-        } else if (token.value === 'enumerate') {
-          i++;
-          if (i < node.tokens.length && node.tokens[i].value === '(') {
-            i++;
-            const argTokens = [];
-            let depth = 1;
-            while (i < node.tokens.length && depth > 0) {
-              if (node.tokens[i].value === '(') depth++;
-              if (node.tokens[i].value === ')') depth--;
-              if (depth > 0) argTokens.push(node.tokens[i]);
-              i++;
-            }
-            i--;
-            const arg = this.generateExpression({ type: 'Expression', tokens: argTokens });
-            result += `${arg}.map((item, index) => [index, item])`;
-          }
-        } else {
-          result += token.value;
-        }
-      } else if (token.type === 'IDENTIFIER') {
-        if (token.value === 'self') {
-          result += 'this';
-        } else {
-          result += token.value;
-        }
-      } else if (token.type === 'PUNCTUATION' && token.value === '.') {
-        result += token.value;
-        if (i + 1 < node.tokens.length && node.tokens[i + 1].type === 'IDENTIFIER') {
-          const nextMethod = node.tokens[i + 1].value;
-          const pythonMethods = {
-            'append': 'push',
-            'extend': 'push',
-            'upper': 'toUpperCase',
-            'lower': 'toLowerCase',
-            'strip': 'trim',
-            'lstrip': 'trimStart',
-            'rstrip': 'trimEnd',
-            'startswith': 'startsWith',
-            'endswith': 'endsWith',
-            'find': 'indexOf',
-            'index': 'indexOf',
-            'keys': 'keys',
-            'values': 'values',
-            'items': 'entries'
-          };
-          
-          if (pythonMethods[nextMethod]) {
-            result += pythonMethods[nextMethod];
-            i++;
-          }
-        }
-      } else if (token.type === 'OPERATOR') {
-        if (token.value === '**') {
-          result += ' ** ';
-        } else if (token.value === '//') {
-          result += ' / ';
-          const remaining = [];
-          i++;
-          while (i < node.tokens.length) {
-            remaining.push(node.tokens[i]);
-            i++;
-          }
-          const rest = this.generateExpression({ type: 'Expression', tokens: remaining });
-          result = 'Math.floor(' + result + rest + ')';
-          break;
-        } else {
-          result += token.value;
-        }
+const CONFIG_KEYS = [
+  'rootDir', 'outDir', 'target', 'module', 'sourceMap', 'declaration', 'include', 'exclude', 'copyFiles', 'rewriteImports',
+  'runtime'
+];
+
+// Supports `*` and `?` within a path segment and `**` across segments. A
+// pattern that matches a directory also matches everything below it.
+function globToRegExp(glob) {
+  let pattern = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
       } else {
-        result += token.value;
+        pattern += '.*';
+        i++;
       }
-      
-      i++;
+    } else if (ch === '*') {
+      pattern += '[^/]*';
+    } else if (ch === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
     }
-    
-    return result.trim();
   }
+  
+  return new RegExp(`^${pattern.replace(/\/$/, '')}(?:/.*)?$`);
+}
+
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) return {};
+  
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new IndentScriptError(`Invalid ${path.basename(configPath)}: ${error.message}`,
+      { code: ERROR_CODES.invalidOption, file: configPath });
+  }
+  
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new IndentScriptError(`Unknown option '${key}' in ${path.basename(configPath)}`,
+        { code: ERROR_CODES.invalidOption, file: configPath });
+    }
+  }
+  
+  const base = path.dirname(configPath);
+  for (const key of ['rootDir', 'outDir']) {
+    if (config[key]) config[key] = path.relative(process.cwd(), path.resolve(base, config[key])) || '.';
+  }
+  
+  return config;
 }
 
 class IndentScript {
-  transpile(code) {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  compile(code, options = {}) {
+    options = Object.assign({}, this.options, options);
+    
+    if (options.target && !TARGETS.includes(options.target)) {
+      throw new IndentScriptError(`Unknown target '${options.target}' (expected one of ${TARGETS.join(', ')})`,
+        { code: ERROR_CODES.invalidOption });
+    }
+    if (options.module && !MODULE_FORMATS.includes(options.module)) {
+      throw new IndentScriptError(`Unknown module format '${options.module}' (expected one of ${MODULE_FORMATS.join(', ')})`,
+        { code: ERROR_CODES.invalidOption });
+    }
+    if (options.runtime !== undefined && typeof options.runtime !== 'string') {
+      throw new IndentScriptError('The runtime option must be a module specifier', { code: ERROR_CODES.invalidOption });
+    }
+    
+    const file = options.filename || null;
+    
     try {
       const lexer = new Lexer(code);
       const tokens = lexer.tokenize();
       
       const parser = new Parser(tokens);
+      parser.errors.push(...lexer.errors);
       const ast = parser.parse();
       
-      const generator = new CodeGenerator(ast);
+      const generator = new CodeGenerator(ast, options);
       const output = generator.generate();
       
-      return output;
+      let map = null;
+      if (options.sourceMap) {
+        const source = options.filename || 'input.isc';
+        const mapFile = path.basename(source, path.extname(source)) + '.js';
+        map = new SourceMap(mapFile, source, code, generator.mappings);
+      }
+      
+      const declaration = options.declaration ? new DeclarationGenerator(ast, generator).generate() : null;
+      
+      generator.diagnostics.forEach(diagnostic => { diagnostic.file = file; });
+      return { code: output, map, declaration, ast, diagnostics: generator.diagnostics };
     } catch (error) {
-      throw new Error(`IndentScript Error at line ${error.line || 'unknown'}: ${error.message}`);
+      const errors = error instanceof IndentScriptError
+        ? error.errors.slice()
+        : [new IndentScriptError(error.message, { cause: error })];
+      
+      // Lexer errors are collected ahead of the parser's; report them all in
+      // source order.
+      errors.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+      for (const each of errors) {
+        each.file = file;
+        each.source = code;
+        each.errors = [each];
+      }
+      
+      errors[0].errors = errors;
+      throw errors[0];
+    }
+  }
+
+  transpile(code, options = {}) {
+    const result = this.compile(code, options);
+    
+    if (options.sourceMap === 'inline') {
+      return result.code + '\n' + result.map.toComment();
     }
+    return result.code;
   }
 
-  execute(code) {
-    const jsCode = this.transpile(code);
+  execute(code, options = {}) {
+    const filename = path.resolve(options.filename || '[eval].isc');
+    const result = this.compile(code, Object.assign({}, options, { filename, sourceMap: true, module: 'commonjs' }));
+    registerSourceMap(filename, result.map);
+    register(Object.assign({}, this.options, options));
     
     try {
-      eval(jsCode);
+      const mod = new Module(filename, module);
+      mod.filename = filename;
+      mod.paths = Module._nodeModulePaths(path.dirname(filename));
+      mod._compile(result.code, filename);
     } catch (error) {
-      throw new Error(`Execution Error: ${error.message}`);
+      const wrapped = new Error(`Execution Error: ${error.message}`);
+      wrapped.cause = error;
+      throw wrapped;
     }
   }
 
-  transpileFile(inputPath, outputPath = null) {
+  transpileFile(inputPath, outputPath = null, options = {}) {
+    return this.compileFile(inputPath, outputPath, options).outputPath;
+  }
+
+  compileFile(inputPath, outputPath = null, options = {}) {
     if (!fs.existsSync(inputPath)) {
       throw new Error(`File not found: ${inputPath}`);
     }
     
+    if (!outputPath) {
+      const parsedPath = path.parse(inputPath);
+      outputPath = path.join(parsedPath.dir, parsedPath.name + '.js');
+    }
+    
     const code = fs.readFileSync(inputPath, 'utf8');
-    const jsCode = this.transpile(code);
+    const result = this.compile(code, Object.assign({}, options, { filename: inputPath }));
+    let jsCode = result.code;
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
     
-    if (outputPath) {
-      fs.writeFileSync(outputPath, jsCode, 'utf8');
-      return outputPath;
-    } else {
-      const parsedPath = path.parse(inputPath);
-      const defaultOutput = path.join(parsedPath.dir, parsedPath.name + '.js');
-      fs.writeFileSync(defaultOutput, jsCode, 'utf8');
-      return defaultOutput;
+    if (result.map) {
+      result.map.file = path.basename(outputPath);
+      result.map.sources = [path.relative(path.dirname(outputPath), inputPath).split(path.sep).join('/')];
+      
+      if (options.sourceMap === 'inline') {
+        jsCode += '\n' + result.map.toComment();
+      } else {
+        fs.writeFileSync(outputPath + '.map', result.map.toString(), 'utf8');
+        jsCode += `\n//# sourceMappingURL=${path.basename(outputPath)}.map`;
+      }
+    }
+    
+    fs.writeFileSync(outputPath, jsCode, 'utf8');
+    if (result.declaration !== null) {
+      fs.writeFileSync(outputPath.replace(/\.[cm]?js$/, '') + '.d.ts', result.declaration, 'utf8');
+    }
+    return { outputPath, diagnostics: result.diagnostics };
+  }
+
+  build(rootDir, outDir, options = {}) {
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+      throw new Error(`Source directory not found: ${rootDir}`);
     }
+    
+    const include = (options.include || ['**/*']).map(globToRegExp);
+    const exclude = (options.exclude || []).map(globToRegExp);
+    const compileOptions = Object.assign({}, options, { rewriteImports: options.rewriteImports !== false });
+    const outputRoot = path.resolve(outDir);
+    const result = { outputs: [], copied: [], diagnostics: [], errors: [] };
+    
+    const visit = directory => {
+      for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+        
+        if (exclude.some(pattern => pattern.test(relativePath))) continue;
+        
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules' && !entry.name.startsWith('.') && path.resolve(fullPath) !== outputRoot) {
+            visit(fullPath);
+          }
+          continue;
+        }
+        
+        if (!include.some(pattern => pattern.test(relativePath))) continue;
+        
+        const target = path.join(outDir, relativePath);
+        if (entry.name.endsWith('.isc')) {
+          try {
+            const compiled = this.compileFile(fullPath, target.slice(0, -'.isc'.length) + '.js', compileOptions);
+            result.outputs.push(compiled.outputPath);
+            result.diagnostics.push(...compiled.diagnostics);
+          } catch (error) {
+            result.errors.push(error);
+          }
+        } else if (options.copyFiles !== false) {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.copyFileSync(fullPath, target);
+          result.copied.push(target);
+        }
+      }
+    };
+    
+    visit(rootDir);
+    return result;
   }
 
-  executeFile(filePath) {
+  executeFile(filePath, options = {}) {
     if (!fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
     }
     
     const code = fs.readFileSync(filePath, 'utf8');
-    this.execute(code);
+    this.execute(code, Object.assign({}, options, { filename: filePath }));
+  }
+}
+
+function transpile(code, options = {}) {
+  try {
+    const result = new IndentScript().compile(code, options);
+    if (options.sourceMap === 'inline') {
+      result.code += '\n' + result.map.toComment();
+    }
+    return result;
+  } catch (error) {
+    return {
+      code: null,
+      map: null,
+      declaration: null,
+      ast: null,
+      diagnostics: error instanceof IndentScriptError
+        ? error.errors.map(each => each.toJSON())
+        : [{ severity: 'error', message: error.message }]
+    };
   }
 }
 
+const WATCH_DEBOUNCE_MS = 100;
+
 function showHelp() {
   console.log('IndentScript v2.8.0 - Pythonic JavaScript Superset');
   console.log('');
   console.log('Usage:');
-  console.log('  node indentscript.js --transpile <file.isc> [output.js]');
-  console.log('  node indentscript.js --execute <file.isc>');
+  console.log('  node indentscript.js --transpile <file.isc|dir> [output] [--source-map[=inline]] [--declaration] [--watch]');
+  console.log('  node indentscript.js --execute <file.isc> [--watch]');
+  console.log('  node indentscript.js --build [srcDir] --out <outDir> [--watch]');
+  console.log('  node indentscript.js --emit-runtime <file> [--module=<format>]');
   console.log('  node indentscript.js --version');
   console.log('  node indentscript.js --help');
   console.log('');
   console.log('Options:');
-  console.log('  --transpile, -t    Transpile .isc file to JavaScript');
+  console.log('  --transpile, -t    Transpile an .isc file, or every .isc file in a directory, to JavaScript');
   console.log('  --execute, -e      Execute .isc file directly');
+  console.log('  --build, -b        Transpile a source tree into --out, using defaults from indentscript.json');
+  console.log('  --out <dir>        Output directory for --build');
+  console.log('  --config=<file>    Project config for --build (default: indentscript.json)');
+  console.log('  --watch            Re-run on every change to the sources (restarts --execute)');
+  console.log('  --source-map       Write a .js.map file next to the output (=inline to embed it)');
+  console.log('  --declaration      Write a .d.ts file with the types of the exports next to the output');
+  console.log('  --target=<es20xx>  Language level of the output (default: esnext)');
+  console.log('  --module=<format>  Module format of the output: esm or commonjs (default: esm)');
+  console.log('  --runtime=<module> Import builtins and helpers from <module> instead of inlining them');
+  console.log('  --emit-runtime     Write the runtime module that --runtime imports from');
+  console.log('  --json             Print diagnostics as JSON instead of text');
   console.log('  --version, -v      Show version information');
   console.log('  --help, -h         Show this help message');
   console.log('');
   console.log('Examples:');
   console.log('  node indentscript.js --transpile script.isc');
   console.log('  node indentscript.js --transpile script.isc output.js');
+  console.log('  node indentscript.js --transpile script.isc --source-map');
+  console.log('  node indentscript.js --transpile src dist --watch');
+  console.log('  node indentscript.js --build src --out dist');
   console.log('  node indentscript.js --execute script.isc');
 }
 
+function parseArguments(args) {
+  const positionals = [];
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--source-map') {
+      options.sourceMap = true;
+    } else if (arg === '--source-map=inline') {
+      options.sourceMap = 'inline';
+    } else if (arg === '--declaration') {
+      options.declaration = true;
+    } else if (arg.startsWith('--target=')) {
+      options.target = arg.slice('--target='.length);
+    } else if (arg.startsWith('--module=')) {
+      options.module = arg.slice('--module='.length);
+    } else if (arg.startsWith('--runtime=')) {
+      options.runtime = arg.slice('--runtime='.length);
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--watch') {
+      options.watch = true;
+    } else if (arg === '--out' && i + 1 < args.length) {
+      options.outDir = args[++i];
+    } else if (arg.startsWith('--out=')) {
+      options.outDir = arg.slice('--out='.length);
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.slice('--config='.length);
+    } else if (arg.startsWith('--') && positionals.length > 0) {
+      throw new Error(`Unknown option '${arg}'`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+  
+  return { positionals, options };
+}
+
+function collectSources(directory) {
+  const sources = [];
+  
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        sources.push(...collectSources(fullPath));
+      }
+    } else if (entry.name.endsWith('.isc')) {
+      sources.push(fullPath);
+    }
+  }
+  
+  return sources;
+}
+
+function errorDiagnostics(error) {
+  if (error instanceof IndentScriptError) {
+    return error.errors.map(each => each.toJSON());
+  }
+  return [{ severity: 'error', message: error.message }];
+}
+
+function reportError(error) {
+  if (error instanceof IndentScriptError) {
+    console.error(error.format());
+    const count = error.errors.length;
+    console.error(`\nFound ${count} error${count === 1 ? '' : 's'}.`);
+    return;
+  }
+  
+  console.error('Error:', error.message);
+  if (error.cause && error.cause.stack) {
+    console.error(error.cause.stack.split('\n').slice(1).join('\n'));
+  }
+}
+
+// Transpiles `inputPath`, a file or a directory of .isc files mirrored into
+// `outputPath`, and reports the results. Errors are printed rather than
+// thrown so that watch mode can keep going; returns whether all files built.
+function transpileCommand(indentScript, inputPath, outputPath, options, sources = null) {
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`File not found: ${inputPath}`);
+  }
+  
+  const isDirectory = fs.statSync(inputPath).isDirectory();
+  const outputs = [];
+  const diagnostics = [];
+  let success = true;
+  
+  for (const source of sources || (isDirectory ? collectSources(inputPath) : [inputPath])) {
+    let target = outputPath;
+    if (isDirectory && outputPath) {
+      target = path.join(outputPath, path.relative(inputPath, source)).replace(/\.isc$/, '.js');
+    } else if (isDirectory) {
+      target = null;
+    }
+    
+    try {
+      const result = indentScript.compileFile(source, target, options);
+      outputs.push(result.outputPath);
+      diagnostics.push(...result.diagnostics);
+      if (!options.json) {
+        result.diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+        console.log(`✓ Transpiled successfully: ${source} → ${result.outputPath}`);
+      }
+    } catch (error) {
+      success = false;
+      if (options.json) {
+        diagnostics.push(...errorDiagnostics(error));
+      } else {
+        reportError(error);
+      }
+    }
+  }
+  
+  if (options.json) {
+    const output = isDirectory ? outputs : outputs[0] || null;
+    console.log(JSON.stringify({ success, output, diagnostics }, null, 2));
+  }
+  return success;
+}
+
+function buildCommand(indentScript, rootDir, outDir, options) {
+  let result;
+  try {
+    result = indentScript.build(rootDir, outDir, options);
+  } catch (error) {
+    result = { outputs: [], copied: [], diagnostics: [], errors: [error] };
+  }
+  
+  const success = result.errors.length === 0;
+  
+  if (options.json) {
+    const diagnostics = result.diagnostics.concat(...result.errors.map(errorDiagnostics));
+    console.log(JSON.stringify({ success, output: result.outputs, diagnostics }, null, 2));
+    return success;
+  }
+  
+  result.diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+  result.errors.forEach(error => console.error((error instanceof IndentScriptError ? error.format() : `Error: ${error.message}`) + '\n'));
+  
+  const copied = result.copied.length > 0 ? ` (${result.copied.length} other file${result.copied.length === 1 ? '' : 's'} copied)` : '';
+  if (success) {
+    console.log(`✓ Built ${result.outputs.length} file${result.outputs.length === 1 ? '' : 's'} into ${outDir}${copied}`);
+  } else {
+    console.error(`✗ Build failed: ${result.errors.length} file${result.errors.length === 1 ? '' : 's'} with errors`);
+  }
+  return success;
+}
+
+// Calls `onChange` with the .isc files changed under `inputPath` (or its
+// directory, for a single file), once a burst of writes has settled.
+function watchSources(inputPath, onChange) {
+  const directory = fs.statSync(inputPath).isDirectory() ? inputPath : path.dirname(inputPath);
+  let pending = new Set();
+  let timer = null;
+  
+  const record = (dir, filename) => {
+    if (!filename || !filename.endsWith('.isc')) return;
+    
+    pending.add(path.join(dir, filename));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = Array.from(pending).filter(file => fs.existsSync(file));
+      pending = new Set();
+      if (changed.length > 0) onChange(changed);
+    }, WATCH_DEBOUNCE_MS);
+  };
+  
+  try {
+    return fs.watch(directory, { recursive: true }, (event, filename) => record(directory, filename));
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+  }
+  
+  // Linux only supports recursive watching from Node 20, so older versions
+  // watch every directory on its own, including ones created later.
+  const watchers = new Map();
+  const watchDirectory = dir => {
+    if (watchers.has(dir)) return;
+    
+    const watcher = fs.watch(dir, (event, filename) => {
+      const fullPath = filename ? path.join(dir, filename) : null;
+      if (event === 'rename' && fullPath && !filename.startsWith('.') && filename !== 'node_modules' &&
+          fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+        watchDirectory(fullPath);
+      }
+      record(dir, filename);
+    });
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+    
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        watchDirectory(path.join(dir, entry.name));
+      }
+    }
+  };
+  
+  watchDirectory(directory);
+  return { close: () => watchers.forEach(watcher => watcher.close()) };
+}
+
+function watchTranspile(indentScript, inputPath, outputPath, options) {
+  transpileCommand(indentScript, inputPath, outputPath, options);
+  
+  const isDirectory = fs.statSync(inputPath).isDirectory();
+  console.log(`Watching ${inputPath} for changes...`);
+  
+  watchSources(inputPath, changed => {
+    const sources = isDirectory ? changed : changed.filter(file => path.resolve(file) === path.resolve(inputPath));
+    if (sources.length > 0) {
+      transpileCommand(indentScript, inputPath, outputPath, options, sources);
+    }
+  });
+}
+
+// Runs the program in a child process so that it can be stopped and started
+// again whenever a source file changes.
+function watchExecute(inputPath, args) {
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`File not found: ${inputPath}`);
+  }
+  
+  const childArgs = [__filename].concat(args.filter(arg => arg !== '--watch'));
+  let child = null;
+  
+  const start = () => {
+    child = childProcess.spawn(process.execPath, childArgs, { stdio: 'inherit' });
+    child.on('exit', (code, signal) => {
+      if (!signal) {
+        console.log(`Process exited with code ${code}; waiting for changes...`);
+      }
+    });
+  };
+  
+  const restart = changed => {
+    console.log(`↻ ${changed.map(file => path.relative(process.cwd(), file)).join(', ')} changed, restarting...`);
+    if (child.exitCode === null && child.signalCode === null) {
+      child.once('exit', start);
+      child.kill();
+    } else {
+      start();
+    }
+  };
+  
+  start();
+  watchSources(inputPath, restart);
+}
+
 function main() {
-  const args = process.argv.slice(2);
+  const { positionals: args, options } = parseArguments(process.argv.slice(2));
   
   if (args.length === 0) {
     showHelp();
@@ -1611,8 +6408,47 @@ function main() {
       const inputFile = args[1];
       const outputFile = args[2] || null;
 
-      const output = indentScript.transpileFile(inputFile, outputFile);
-      console.log(`✓ Transpiled successfully: ${inputFile} → ${output}`);
+      if (options.watch) {
+        watchTranspile(indentScript, inputFile, outputFile, options);
+      } else if (!transpileCommand(indentScript, inputFile, outputFile, options)) {
+        process.exit(1);
+      }
+      
+    } else if (command === '--build' || command === '-b') {
+      if (options.config && !fs.existsSync(options.config)) {
+        throw new Error(`Config file not found: ${options.config}`);
+      }
+      
+      const config = loadConfig(path.resolve(options.config || CONFIG_FILE));
+      const buildOptions = Object.assign({}, config, options);
+      const rootDir = args[1] || config.rootDir;
+      const outDir = buildOptions.outDir;
+      
+      if (!rootDir || !outDir) {
+        console.error(`Error: --build needs a source directory and --out <dir> (or rootDir and outDir in ${CONFIG_FILE})`);
+        process.exit(1);
+      }
+      
+      if (options.watch) {
+        buildCommand(indentScript, rootDir, outDir, buildOptions);
+        console.log(`Watching ${rootDir} for changes...`);
+        watchSources(rootDir, () => buildCommand(indentScript, rootDir, outDir, buildOptions));
+      } else if (!buildCommand(indentScript, rootDir, outDir, buildOptions)) {
+        process.exit(1);
+      }
+      
+    } else if (command === '--emit-runtime') {
+      if (!args[1]) {
+        console.error('Error: No output file specified');
+        process.exit(1);
+      }
+      
+      if (options.module && !MODULE_FORMATS.includes(options.module)) {
+        throw new Error(`Unknown module format '${options.module}' (expected one of ${MODULE_FORMATS.join(', ')})`);
+      }
+      fs.mkdirSync(path.dirname(path.resolve(args[1])), { recursive: true });
+      fs.writeFileSync(args[1], generateRuntime(options.module));
+      console.log(`✓ Wrote runtime: ${args[1]}`);
       
     } else if (command === '--execute' || command === '-e') {
       if (!args[1]) {
@@ -1621,7 +6457,11 @@ function main() {
       }
 
       const inputFile = args[1];
-      indentScript.executeFile(inputFile);
+      if (options.watch) {
+        watchExecute(inputFile, process.argv.slice(2));
+      } else {
+        indentScript.executeFile(inputFile, options);
+      }
       
     } else {
       console.error(`Error: Unknown command '${command}'`);
@@ -1629,9 +6469,29 @@ function main() {
       process.exit(1);
     }
   } catch (error) {
-    console.error('Error:', error.message);
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, output: null, diagnostics: errorDiagnostics(error) }, null, 2));
+    } else {
+      reportError(error);
+    }
     process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  IndentScript,
+  Lexer,
+  Parser,
+  CodeGenerator,
+  SourceMap,
+  IndentScriptError,
+  ERROR_CODES,
+  transpile,
+  compileModule,
+  register,
+  generateRuntime
+};
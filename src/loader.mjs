@@ -0,0 +1,24 @@
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const { compileModule } = require('./indentscript.js');
+
+let options = {};
+
+export async function initialize(data) {
+  options = data || {};
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !url.endsWith('.isc')) {
+    return nextLoad(url, context);
+  }
+  
+  const compiled = compileModule(fileURLToPath(url), 'esm', options);
+  return {
+    format: 'module',
+    source: compiled.code + '\n' + compiled.map.toComment(),
+    shortCircuit: true
+  };
+}
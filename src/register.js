@@ -0,0 +1 @@
+require('./indentscript.js').register();
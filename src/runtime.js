@@ -0,0 +1,1131 @@
+'use strict';
+
+// The Python builtins and the helpers compiled code calls. The compiler takes
+// the source of each declaration a file needs, and of those listed for it in
+// `requires` below, and injects it, or imports them from the module that
+// --emit-runtime writes. A declaration that refers to another must list it.
+
+// Python's exception hierarchy. TypeError, SyntaxError and friends are left to
+// the JavaScript built-ins of the same name so that `except TypeError` also
+// catches errors raised by the engine.
+class BaseException extends Error {
+  constructor(...args) {
+    super(args.length > 0 ? String(args[0]) : '');
+    this.name = new.target.name;
+    this.args = args;
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+
+class Exception extends BaseException {}
+class SystemExit extends BaseException {}
+class KeyboardInterrupt extends BaseException {}
+class ArithmeticError extends Exception {}
+class ZeroDivisionError extends ArithmeticError {}
+class OverflowError extends ArithmeticError {}
+class FloatingPointError extends ArithmeticError {}
+class AssertionError extends Exception {}
+class AttributeError extends Exception {}
+class LookupError extends Exception {}
+class IndexError extends LookupError {}
+class KeyError extends LookupError {}
+class NameError extends Exception {}
+class RuntimeError extends Exception {}
+class NotImplementedError extends RuntimeError {}
+class RecursionError extends RuntimeError {}
+class OSError extends Exception {}
+class IOError extends OSError {}
+class FileNotFoundError extends OSError {}
+class FileExistsError extends OSError {}
+class IsADirectoryError extends OSError {}
+class NotADirectoryError extends OSError {}
+class PermissionError extends OSError {}
+class TimeoutError extends OSError {}
+class ConnectionError extends OSError {}
+class ImportError extends Exception {}
+class ModuleNotFoundError extends ImportError {}
+class StopIteration extends Exception {}
+class StopAsyncIteration extends Exception {}
+class ValueError extends Exception {}
+class UnicodeError extends ValueError {}
+
+// Context managers: Python's __enter__/__exit__ protocol first, then the
+// explicit resource management symbols, then a plain close() method.
+function __enterContext(manager) {
+  let value = manager;
+  let exit;
+  if (manager != null && typeof manager.__enter__ === 'function') {
+    value = manager.__enter__();
+    exit = (failed, error) => failed
+      ? manager.__exit__(error != null ? error.constructor : error, error, error != null ? error.stack : null)
+      : manager.__exit__(null, null, null);
+  } else if (manager != null && typeof Symbol.dispose === 'symbol' && typeof manager[Symbol.dispose] === 'function') {
+    exit = () => { manager[Symbol.dispose](); };
+  } else if (manager != null && typeof manager.close === 'function') {
+    exit = () => { manager.close(); };
+  } else {
+    throw new TypeError('object does not support the context manager protocol');
+  }
+  let done = false;
+  return {
+    value,
+    exit(...args) {
+      if (done) return false;
+      done = true;
+      return Boolean(exit(args.length > 0, args[0]));
+    }
+  };
+}
+
+async function __enterAsyncContext(manager) {
+  let value = manager;
+  let exit;
+  if (manager != null && typeof manager.__aenter__ === 'function') {
+    value = await manager.__aenter__();
+    exit = (failed, error) => failed
+      ? manager.__aexit__(error != null ? error.constructor : error, error, error != null ? error.stack : null)
+      : manager.__aexit__(null, null, null);
+  } else if (manager != null && typeof Symbol.asyncDispose === 'symbol' && typeof manager[Symbol.asyncDispose] === 'function') {
+    exit = async () => { await manager[Symbol.asyncDispose](); };
+  } else if (manager != null && typeof manager.__enter__ === 'function') {
+    value = manager.__enter__();
+    exit = (failed, error) => failed
+      ? manager.__exit__(error != null ? error.constructor : error, error, error != null ? error.stack : null)
+      : manager.__exit__(null, null, null);
+  } else if (manager != null && typeof Symbol.dispose === 'symbol' && typeof manager[Symbol.dispose] === 'function') {
+    exit = () => { manager[Symbol.dispose](); };
+  } else if (manager != null && typeof manager.close === 'function') {
+    exit = async () => { await manager.close(); };
+  } else {
+    throw new TypeError('object does not support the asynchronous context manager protocol');
+  }
+  let done = false;
+  return {
+    value,
+    async exit(...args) {
+      if (done) return false;
+      done = true;
+      return Boolean(await exit(args.length > 0, args[0]));
+    }
+  };
+}
+
+// Python slice semantics: bounds may be negative or omitted (null) and are
+// clamped to the sequence, and the step may be negative.
+function __sliceIndices(length, start, stop, step) {
+  step = step == null ? 1 : step;
+  if (step === 0) throw new ValueError('slice step cannot be zero');
+  const clamp = (index, fallback, lower, upper) => {
+    if (index == null) return fallback;
+    if (index < 0) index += length;
+    return Math.min(Math.max(index, lower), upper);
+  };
+  if (step > 0) return [clamp(start, 0, 0, length), clamp(stop, length, 0, length), step];
+  return [clamp(start, length - 1, -1, length - 1), clamp(stop, -1, -1, length - 1), step];
+}
+
+function __sliceRange(length, start, stop, step) {
+  const [from, to, by] = __sliceIndices(length, start, stop, step);
+  const indices = [];
+  for (let i = from; by > 0 ? i < to : i > to; i += by) indices.push(i);
+  return indices;
+}
+
+function __slice(sequence, start, stop, step) {
+  const items = __sliceRange(sequence.length, start, stop, step).map(i => sequence[i]);
+  return typeof sequence === 'string' ? items.join('') : items;
+}
+
+function __setSlice(sequence, start, stop, step, values) {
+  values = Array.from(values);
+  if (step == null || step === 1) {
+    const [from, to] = __sliceIndices(sequence.length, start, stop, 1);
+    sequence.splice(from, Math.max(to - from, 0), ...values);
+    return;
+  }
+  const indices = __sliceRange(sequence.length, start, stop, step);
+  if (indices.length !== values.length) {
+    throw new ValueError(`attempt to assign sequence of size ${values.length} to extended slice of size ${indices.length}`);
+  }
+  indices.forEach((index, i) => { sequence[index] = values[i]; });
+}
+
+function __deleteSlice(sequence, start, stop, step) {
+  const indices = __sliceRange(sequence.length, start, stop, step);
+  indices.sort((a, b) => b - a).forEach(index => sequence.splice(index, 1));
+}
+
+// Keyword arguments travel as a trailing object tagged with a shared symbol,
+// so plain JavaScript functions see an ordinary options object while
+// IndentScript functions can tell it apart from a positional dict.
+function __keywords(mapping) {
+  return Object.defineProperty(mapping, Symbol.for('indentscript.keywords'), { value: true });
+}
+
+// Python's `in`: substrings, array items, Set members, Map and dict keys, or
+// `__contains__`.
+function __contains(item, container) {
+  if (container != null && typeof container.__contains__ === 'function') return Boolean(container.__contains__(item));
+  if (typeof container === 'string') {
+    if (typeof item !== 'string') throw new TypeError(`'in <string>' requires string as left operand, not ${__typeName(item)}`);
+    return container.includes(item);
+  }
+  if (Array.isArray(container) || ArrayBuffer.isView(container)) return container.includes(item);
+  if (container instanceof Set || container instanceof Map) return container.has(item);
+  if (__isDict(container)) return Object.prototype.hasOwnProperty.call(container, item);
+  if (container != null && typeof container === 'object' && typeof container[Symbol.iterator] !== 'function' &&
+      typeof container.__iter__ !== 'function') {
+    return item in container;
+  }
+  for (const value of __iterate(container)) {
+    if (value === item) return true;
+  }
+  return false;
+}
+
+// `raise X` instantiates X when it is a class rather than an exception.
+function __exception(value) {
+  return typeof value === 'function' && !(value instanceof Error) ? new value() : value;
+}
+
+// The exceptions being handled, innermost last. They live on the global
+// object so that every compiled file sees the same ones: a bare `raise` in a
+// function rethrows the exception of the handler that called it.
+function __handledExceptions() {
+  const key = Symbol.for('indentscript.handledExceptions');
+  return globalThis[key] || (globalThis[key] = []);
+}
+
+function __enterHandler(error) {
+  __handledExceptions().push(error);
+}
+
+function __exitHandler(error) {
+  const handled = __handledExceptions();
+  handled.splice(handled.lastIndexOf(error), 1);
+}
+
+function __currentException() {
+  const handled = __handledExceptions();
+  return handled.length > 0 ? handled[handled.length - 1] : new RuntimeError('No active exception to reraise');
+}
+
+// `del object.name` runs a property deleter when the object's class has one.
+function __deleteAttribute(object, name) {
+  const deleter = object[Symbol.for(`indentscript.delete:${name}`)];
+  if (typeof deleter === 'function') {
+    deleter.call(object);
+  } else {
+    delete object[name];
+  }
+}
+
+function __hasKeywords(args) {
+  const last = args[args.length - 1];
+  return last != null && last[Symbol.for('indentscript.keywords')] === true;
+}
+
+function __print(values, { sep = null, end = null } = {}) {
+  const text = values.map(value => str(value)).join(sep === null ? ' ' : sep) + (end === null ? '\n' : end);
+  if (typeof process !== 'undefined' && process.stdout) {
+    process.stdout.write(text);
+  } else {
+    console.log(text.replace(/\n$/, ''));
+  }
+}
+
+// Binds `args` to a signature written as Python parameter names, e.g.
+// ['a', '/', 'b', '*args', 'c', '**kwargs'], returning the values in order.
+// Missing arguments are left undefined so parameter defaults apply.
+function __bindArguments(name, args, signature) {
+  const tagged = __hasKeywords(args);
+  const keywords = tagged ? args.pop() : {};
+  const unused = new Set(Object.keys(keywords));
+  const values = [];
+  let positionalOnly = signature.includes('/');
+  let keywordOnly = false;
+  let index = 0;
+  for (const param of signature) {
+    if (param === '/') {
+      positionalOnly = false;
+    } else if (param === '*') {
+      keywordOnly = true;
+    } else if (param.startsWith('**')) {
+      const rest = {};
+      for (const key of unused) rest[key] = keywords[key];
+      unused.clear();
+      values.push(rest);
+    } else if (param.startsWith('*')) {
+      values.push(args.slice(index));
+      index = args.length;
+      keywordOnly = true;
+    } else {
+      const positional = !keywordOnly && index < args.length;
+      const keyword = !positionalOnly && unused.delete(param);
+      if (positional && keyword) {
+        throw new TypeError(`${name}() got multiple values for argument '${param}'`);
+      }
+      values.push(positional ? args[index++] : keyword ? keywords[param] : undefined);
+    }
+  }
+  // Without keywords this is an ordinary JavaScript call, which may pass extra arguments.
+  if (tagged && index < args.length) {
+    throw new TypeError(`${name}() takes ${index} positional arguments but ${args.length} were given`);
+  }
+  if (unused.size > 0) {
+    throw new TypeError(`${name}() got an unexpected keyword argument '${[...unused][0]}'`);
+  }
+  return values;
+}
+
+// `case {'a': x, **rest}` binds the remaining entries.
+function __dictWithout(mapping, keys) {
+  const result = {};
+  const excluded = keys.map(String);
+  for (const key of Object.keys(mapping)) {
+    if (!excluded.includes(key)) result[key] = mapping[key];
+  }
+  return result;
+}
+
+// `d.items()`, `d.keys()` and `d.values()` for plain objects and Maps. Other
+// objects keep their own method, with `items` falling back to `entries`.
+function __dictView(mapping, view) {
+  const method = view === 'items' ? 'entries' : view;
+  if (mapping instanceof Map) return Array.from(mapping[method]());
+  if (__isDict(mapping)) return Object[method](mapping);
+  return typeof mapping[view] === 'function' ? mapping[view]() : mapping[method]();
+}
+
+// `==` and `!=` defer to `__eq__` when either operand has one.
+function __eq(a, b) {
+  if (a != null && typeof a.__eq__ === 'function') return Boolean(a.__eq__(b));
+  if (b != null && typeof b.__eq__ === 'function') return Boolean(b.__eq__(a));
+  return a == b;
+}
+
+// Class attributes live on the class; instances read them through accessors
+// on the prototype and shadow them with their own property on assignment.
+function __classAttributes(cls, names) {
+  for (const name of names) {
+    Object.defineProperty(cls.prototype, name, {
+      get() { return this.constructor[name]; },
+      set(value) { Object.defineProperty(this, name, { value, writable: true, enumerable: true, configurable: true }); },
+      configurable: true
+    });
+  }
+}
+
+// Instances of classes defining `__call__` or the item methods are wrapped in
+// a Proxy so that `obj(...)` and `obj[key]` reach them.
+function __instanceProxy(instance) {
+  // Node inspects the target of a proxy, so the callable target shows the instance.
+  const target = () => {};
+  target[Symbol.for('nodejs.util.inspect.custom')] = (depth, options, inspect) => inspect(instance, options);
+  return new Proxy(target, {
+    apply: (_, thisArg, args) => instance.__call__(...args),
+    get: (_, key, receiver) => Reflect.get(instance, key, receiver),
+    set: (_, key, value) => Reflect.set(instance, key, value),
+    deleteProperty: (_, key) => Reflect.deleteProperty(instance, key),
+    has: (_, key) => key in instance,
+    getPrototypeOf: () => Object.getPrototypeOf(instance),
+    ownKeys: () => Reflect.ownKeys(instance),
+    getOwnPropertyDescriptor(_, key) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(instance, key);
+      if (descriptor) descriptor.configurable = true;
+      return descriptor;
+    },
+    defineProperty: (_, key, descriptor) => Reflect.defineProperty(instance, key, descriptor)
+  });
+}
+
+// A negative index counts from the end of an array, string or bytes; the
+// keys of anything else, such as a dict, are left alone.
+function __index(object, key) {
+  if (key < 0 && (Array.isArray(object) || typeof object === 'string' || object instanceof Uint8Array)) {
+    return key + object.length;
+  }
+  return key;
+}
+
+// Subscripts go through these, so that instances of classes with
+// __getitem__, __setitem__ or __delitem__ can be indexed wherever they come
+// from, and a negative index counts from the end of a sequence.
+function __getItem(object, key) {
+  if (object != null && typeof object.__getitem__ === 'function') return object.__getitem__(key);
+  return object[__index(object, key)];
+}
+
+function __setItem(object, key, value) {
+  if (object != null && typeof object.__setitem__ === 'function') {
+    object.__setitem__(key, value);
+  } else {
+    object[__index(object, key)] = value;
+  }
+}
+
+function __delItem(object, key) {
+  if (object != null && typeof object.__delitem__ === 'function') {
+    object.__delitem__(key);
+  } else if (Array.isArray(object)) {
+    object.splice(__index(object, key), 1);
+  } else {
+    delete object[key];
+  }
+}
+
+// Python builtins with Python semantics. Like the exception classes they are
+// only injected (or imported from the runtime module) when a file uses them.
+function __isDict(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function __typeName(value) {
+  if (value == null) return 'NoneType';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'float';
+  if (typeof value === 'bigint') return 'int';
+  if (typeof value === 'string') return 'str';
+  if (typeof value === 'function') return 'function';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof Set) return 'set';
+  if (value instanceof Uint8Array) return 'bytes';
+  if (value instanceof Map || __isDict(value)) return 'dict';
+  return (value.constructor && value.constructor.name) || 'object';
+}
+
+function __iterate(value) {
+  if (value != null) {
+    if (value instanceof Map) return value.keys();
+    if (typeof value[Symbol.iterator] === 'function') return value;
+    if (typeof value.__iter__ === 'function') return value.__iter__();
+    if (__isDict(value)) return Object.keys(value);
+  }
+  throw new TypeError(`'${__typeName(value)}' object is not iterable`);
+}
+
+function __compare(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < a.length && i < b.length; i++) {
+      const order = __compare(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length < b.length ? -1 : a.length > b.length ? 1 : 0;
+  }
+  if (a != null && typeof a.__lt__ === 'function') {
+    return a.__lt__(b) ? -1 : b != null && typeof b.__lt__ === 'function' && b.__lt__(a) ? 1 : 0;
+  }
+  const kind = value => typeof value === 'boolean' || typeof value === 'bigint' ? 'number' : typeof value;
+  if (kind(a) !== kind(b) || (kind(a) !== 'number' && kind(a) !== 'string')) {
+    throw new TypeError(`'<' not supported between instances of '${__typeName(a)}' and '${__typeName(b)}'`);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function __minmax(name, args, sign) {
+  const [values, key = null, fallback] = __bindArguments(name, args, ['*values', 'key', 'default']);
+  if (values.length === 0) throw new TypeError(`${name} expected at least 1 argument, got 0`);
+  const items = values.length === 1 ? Array.from(__iterate(values[0])) : values;
+  if (items.length === 0) {
+    if (fallback !== undefined) return fallback;
+    throw new ValueError(`${name}() iterable argument is empty`);
+  }
+  let best = items[0];
+  let bestKey = key === null ? best : key(best);
+  for (let i = 1; i < items.length; i++) {
+    const itemKey = key === null ? items[i] : key(items[i]);
+    if (__compare(itemKey, bestKey) * sign > 0) {
+      best = items[i];
+      bestKey = itemKey;
+    }
+  }
+  return best;
+}
+
+// The format-spec mini-language behind f-string fields.
+function __format(value, spec = '') {
+  if (value != null && typeof value.__format__ === 'function') return value.__format__(spec);
+  const match = /^(?:([\s\S])?([<>=^]))?([-+ ])?(z)?(#)?(0)?(\d+)?([_,])?(?:\.(\d+))?([bcdeEfFgGnosxX%])?$/.exec(spec);
+  if (!match) throw new ValueError(`Invalid format specifier '${spec}'`);
+  let [, fill = ' ', align, sign = '-', noNegativeZero, alternate, zero, width = 0, grouping, precision = null, type] = match;
+  if (precision !== null) precision = Number(precision);
+  const pad = (body, prefix, defaultAlign) => {
+    const padding = Math.max(0, width - prefix.length - body.length);
+    switch (align || defaultAlign) {
+      case '<': return prefix + body + fill.repeat(padding);
+      case '^': return fill.repeat(Math.floor(padding / 2)) + prefix + body + fill.repeat(Math.ceil(padding / 2));
+      case '=': return prefix + fill.repeat(padding) + body;
+      default: return fill.repeat(padding) + prefix + body;
+    }
+  };
+  const unknown = () => new ValueError(`Unknown format code '${type}' for object of type '${__typeName(value)}'`);
+  if (typeof value === 'boolean' && spec) value = Number(value);
+  if (typeof value !== 'number' && typeof value !== 'bigint') {
+    if (type && type !== 's') throw unknown();
+    const text = str(value);
+    return pad(precision === null ? text : text.slice(0, precision), '', '<');
+  }
+  const integer = typeof value === 'bigint' || Number.isInteger(value);
+  if (type === 's' || ('bcdoxX'.includes(type) && type && !integer)) throw unknown();
+  // Without a type a precision means 'g', except that fixed-point output keeps
+  // a digit after the point and so gives way to an exponent one digit sooner.
+  const general = !type && precision !== null;
+  if (!type) type = general ? 'g' : integer ? 'd' : '';
+  if (typeof value === 'bigint' && !'bcdoxXn'.includes(type)) value = Number(value);
+  const negative = value < 0 || Object.is(value, -0);
+  const magnitude = negative ? -value : value;
+  const fixed = (number, digits) => round(number, digits).toFixed(digits);
+  let prefix = alternate && 'boxX'.includes(type) ? '0' + type : '';
+  let body;
+  if (typeof magnitude === 'number' && !Number.isFinite(magnitude)) {
+    body = Number.isNaN(magnitude) ? 'nan' : 'inf';
+  } else if ('boxX'.includes(type) && type) {
+    body = magnitude.toString({ b: 2, o: 8, x: 16, X: 16 }[type]);
+  } else if (type === 'c') {
+    body = String.fromCodePoint(Number(magnitude));
+  } else if (type === '' || (integer && 'dn'.includes(type))) {
+    body = String(magnitude);
+  } else if (type === 'f' || type === 'F' || type === '%') {
+    body = fixed(type === '%' ? magnitude * 100 : magnitude, precision === null ? 6 : precision);
+  } else if (type === 'e' || type === 'E') {
+    body = magnitude.toExponential(precision === null ? 6 : precision);
+  } else {
+    const digits = precision === null ? 6 : Math.max(precision, 1);
+    const exponent = Number(magnitude.toExponential(digits - 1).split('e')[1]);
+    const fixedPoint = exponent >= -4 && exponent < (general ? digits - 1 : digits);
+    body = fixedPoint ? fixed(magnitude, digits - 1 - exponent) : magnitude.toExponential(digits - 1);
+    if (!alternate) body = body.replace(/\.(\d*?)0*(?=e|$)/, (_, kept) => kept ? '.' + kept : '');
+    if (general && fixedPoint && !body.includes('.')) body += '.0';
+  }
+  body = body.replace(/e([-+])(\d)$/, 'e$10$2');
+  if (alternate && 'eEfFgG%'.includes(type) && type && !body.includes('.')) body = body.replace(/(?=e|$)/, '.');
+  if ('EFGX'.includes(type) && type) body = body.toUpperCase();
+  if (type === '%') body += '%';
+  if (grouping) {
+    const size = 'boxX'.includes(type) && type ? 4 : 3;
+    body = body.replace(/^[\da-fA-F]+/, digits => digits.replace(new RegExp(`\\B(?=(?:[\\da-fA-F]{${size}})+$)`, 'g'), grouping));
+  }
+  const negativeZero = noNegativeZero && !/[1-9]/.test(body);
+  prefix = (negative && !negativeZero && body !== 'nan' ? '-' : sign === '-' ? '' : sign) + prefix;
+  if (zero && !align) {
+    fill = '0';
+    align = '=';
+  }
+  return pad(body, prefix, '>');
+}
+
+// printf-style `"..." % values`. A tuple supplies the positional values;
+// tuples and lists are both arrays, so a list does too. Anything else is a
+// single value, which a mapping (or any object, as in Python) also supplies
+// the %(name)s ones from. The conversions themselves reuse __format.
+function __percentFormat(template, values) {
+  const positional = Array.isArray(values) ? values : [values];
+  const isMapping = !Array.isArray(values) && values !== null && typeof values === 'object';
+  let index = 0;
+  const next = () => {
+    if (index >= positional.length) throw new TypeError('not enough arguments for format string');
+    return positional[index++];
+  };
+  const pattern = /%(?:\(([^)]*)\))?([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?([\s\S]?)/g;
+  const result = template.replace(pattern, (match, key, flags, width = '', precision, type, offset) => {
+    if (match === '%%') return '%';
+    if (!type) throw new ValueError('incomplete format');
+    if (!'diouxXeEfFgGcrsa'.includes(type)) {
+      throw new ValueError(`unsupported format character '${type}' (0x${type.charCodeAt(0).toString(16)}) at index ${offset + match.length - 1}`);
+    }
+    if (width === '*') width = String(next());
+    if (precision === '*') precision = String(next());
+    let value;
+    if (key === undefined) {
+      value = next();
+    } else if (!isMapping) {
+      throw new TypeError('format requires a mapping');
+    } else {
+      value = values instanceof Map ? values.get(key) : values[key];
+    }
+    const left = flags.includes('-');
+    const accuracy = precision === undefined ? '' : '.' + (precision || '0');
+    if ('rsac'.includes(type)) {
+      const text = type === 's' ? str(value) : type === 'c' ? (typeof value === 'number' ? String.fromCodePoint(value) : value) : repr(value);
+      return __format(text, (left ? '<' : '>') + width + (type === 'c' ? '' : accuracy));
+    }
+    if (typeof value === 'boolean') value = Number(value);
+    if (typeof value !== 'number' && typeof value !== 'bigint') {
+      throw new TypeError(`%${type} format: a real number is required, not ${__typeName(value)}`);
+    }
+    if ('diouxX'.includes(type)) {
+      if (typeof value === 'number' && !Number.isInteger(value)) {
+        if ('oxX'.includes(type)) throw new TypeError(`%${type} format: an integer is required, not float`);
+        value = Math.trunc(value);
+      }
+    }
+    const sign = flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+    const zero = flags.includes('0') && !left ? '0' : '';
+    const alternate = flags.includes('#') ? '#' : '';
+    const code = 'diu'.includes(type) ? 'd' : type;
+    return __format(value, (left ? '<' : '') + sign + alternate + zero + width + ('diouxX'.includes(type) ? '' : accuracy) + code);
+  });
+  if (!isMapping && index < positional.length) {
+    throw new TypeError('not all arguments converted during string formatting');
+  }
+  return result;
+}
+
+// str.format(). Anything other than a string keeps its own format() method.
+function __formatString(template, ...args) {
+  if (typeof template !== 'string') return template.format(...args);
+  const last = args[args.length - 1];
+  const keywords = last != null && last[Symbol.for('indentscript.keywords')] ? args.pop() : {};
+  let automatic = 0;
+  let manual = false;
+  const field = text => {
+    const match = /^([^.[!:]*)((?:\.[^.[!:]+|\[[^\]]+\])*)(?:!([rsa]))?(?::([\s\S]*))?$/.exec(text);
+    if (!match) throw new ValueError(`invalid format field '{${text}}'`);
+    const [, name, accessors, conversion, spec = ''] = match;
+    let value;
+    if (name === '') {
+      if (manual) throw new ValueError('cannot switch from manual field specification to automatic field numbering');
+      if (automatic >= args.length) throw new IndexError(`Replacement index ${automatic} out of range for positional args tuple`);
+      value = args[automatic++];
+    } else if (/^\d+$/.test(name)) {
+      if (automatic > 0) throw new ValueError('cannot switch from automatic field numbering to manual field specification');
+      manual = true;
+      if (Number(name) >= args.length) throw new IndexError(`Replacement index ${name} out of range for positional args tuple`);
+      value = args[Number(name)];
+    } else {
+      if (!(name in keywords)) throw new KeyError(`'${name}'`);
+      value = keywords[name];
+    }
+    const accessor = /\.([^.[]+)|\[([^\]]+)\]/g;
+    for (let step; (step = accessor.exec(accessors)) !== null;) {
+      const [, attribute, key] = step;
+      if (attribute !== undefined) value = value[attribute];
+      else if (value instanceof Map) value = value.get(/^\d+$/.test(key) ? Number(key) : key);
+      else value = value[key];
+    }
+    if (conversion) value = conversion === 's' ? str(value) : repr(value);
+    return __format(value, spec.replace(/\{([^{}]*)\}/g, (_, inner) => field(inner)));
+  };
+  let result = '';
+  for (let i = 0; i < template.length; i++) {
+    const ch = template[i];
+    if ((ch === '{' || ch === '}') && template[i + 1] === ch) {
+      result += ch;
+      i++;
+    } else if (ch === '}') {
+      throw new ValueError("Single '}' encountered in format string");
+    } else if (ch === '{') {
+      let depth = 1;
+      let end = i + 1;
+      for (; end < template.length && depth > 0; end++) {
+        if (template[end] === '{') depth++;
+        else if (template[end] === '}') depth--;
+      }
+      if (depth > 0) throw new ValueError("expected '}' before end of string");
+      result += field(template.slice(i + 1, end - 1));
+      i = end - 1;
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+function len(value) {
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  if (value instanceof Set || value instanceof Map) return value.size;
+  if (value != null && typeof value.__len__ === 'function') return value.__len__();
+  if (__isDict(value)) return Object.keys(value).length;
+  if (value != null && typeof value === 'object' && typeof value.length === 'number') return value.length;
+  throw new TypeError(`object of type '${__typeName(value)}' has no len()`);
+}
+
+function sorted(...args) {
+  const [iterable, key = null, reverse = false] = __bindArguments('sorted', args, ['iterable', '/', '*', 'key', 'reverse']);
+  const keyed = Array.from(__iterate(iterable), item => [key === null ? item : key(item), item]);
+  keyed.sort((a, b) => reverse ? __compare(b[0], a[0]) : __compare(a[0], b[0]));
+  return keyed.map(pair => pair[1]);
+}
+
+function min(...args) {
+  return __minmax('min', args, -1);
+}
+
+function max(...args) {
+  return __minmax('max', args, 1);
+}
+
+function sum(...args) {
+  const [iterable, start = 0] = __bindArguments('sum', args, ['iterable', '/', 'start']);
+  let total = start;
+  for (const item of __iterate(iterable)) total = total + item;
+  return total;
+}
+
+function any(iterable) {
+  for (const item of __iterate(iterable)) {
+    if (bool(item)) return true;
+  }
+  return false;
+}
+
+function all(iterable) {
+  for (const item of __iterate(iterable)) {
+    if (!bool(item)) return false;
+  }
+  return true;
+}
+
+function abs(value) {
+  if (value != null && typeof value.__abs__ === 'function') return value.__abs__();
+  if (typeof value === 'bigint') return value < 0 ? -value : value;
+  if (typeof value !== 'number' && typeof value !== 'boolean') {
+    throw new TypeError(`bad operand type for abs(): '${__typeName(value)}'`);
+  }
+  return Math.abs(value);
+}
+
+function round(...args) {
+  const [number, ndigits = null] = __bindArguments('round', args, ['number', 'ndigits']);
+  if (number != null && typeof number.__round__ === 'function') return number.__round__(ndigits);
+  const digits = ndigits === null ? 0 : ndigits;
+  if (!Number.isFinite(number) || Math.abs(number) >= 1e21 || digits > 20) return number;
+  if (digits < 0) {
+    const factor = Math.pow(10, -digits);
+    return round(number / factor) * factor;
+  }
+  // toFixed rounds exact halves away from zero; Python rounds them to even.
+  const magnitude = Math.abs(number);
+  const exact = magnitude.toFixed(20);
+  const point = exact.indexOf('.') + 1 + digits;
+  const tie = /^50*$/.test(exact.slice(point)) && Number(exact[point - (digits === 0 ? 2 : 1)]) % 2 === 0;
+  const result = Number(tie ? exact.slice(0, point) : magnitude.toFixed(digits));
+  return number < 0 && result !== 0 ? -result : result;
+}
+
+function reversed(sequence) {
+  if (sequence != null && typeof sequence.__reversed__ === 'function') return sequence.__reversed__();
+  return Array.from(__iterate(sequence)).reverse()[Symbol.iterator]();
+}
+
+function* enumerate(...args) {
+  const [iterable, start = 0] = __bindArguments('enumerate', args, ['iterable', 'start']);
+  let index = start;
+  for (const item of __iterate(iterable)) yield [index++, item];
+}
+
+function* zip(...args) {
+  const [iterables, strict = false] = __bindArguments('zip', args, ['*iterables', 'strict']);
+  const iterators = iterables.map(iterable => __iterate(iterable)[Symbol.iterator]());
+  const ordinal = i => i > 1 ? `arguments 1-${i}` : 'argument 1';
+  while (iterators.length > 0) {
+    const row = [];
+    for (let i = 0; i < iterators.length; i++) {
+      const result = iterators[i].next();
+      if (result.done) {
+        if (strict && i > 0) throw new ValueError(`zip() argument ${i + 1} is shorter than ${ordinal(i)}`);
+        for (let j = 1; strict && j < iterators.length; j++) {
+          if (!iterators[j].next().done) throw new ValueError(`zip() argument ${j + 1} is longer than ${ordinal(j)}`);
+        }
+        return;
+      }
+      row.push(result.value);
+    }
+    yield row;
+  }
+}
+
+// The arguments of range() must be integers, and the step must not be zero.
+function __rangeIndex(value) {
+  if (typeof value === 'boolean') return Number(value);
+  if (!Number.isInteger(value)) throw new TypeError(`'${__typeName(value)}' object cannot be interpreted as an integer`);
+  return value;
+}
+
+function __rangeStep(step) {
+  if (__rangeIndex(step) === 0) throw new ValueError('range() arg 3 must not be zero');
+  return Number(step);
+}
+
+// A lazy sequence of numbers: indexing, `len` and `in` are computed rather
+// than stored, so `range(10 ** 9)` costs nothing until it is iterated.
+class range {
+  constructor(start, stop, step = 1) {
+    if (stop === undefined) [start, stop] = [0, start];
+    this.start = __rangeIndex(start);
+    this.stop = __rangeIndex(stop);
+    this.step = __rangeStep(step);
+    this.length = Math.max(0, Math.ceil((stop - start) / step));
+    return new Proxy(this, {
+      get: (target, key) => typeof key === 'string' && /^-?\d+$/.test(key) ? target.at(Number(key)) : target[key]
+    });
+  }
+  at(index) {
+    const i = index < 0 ? index + this.length : index;
+    if (i < 0 || i >= this.length) throw new IndexError('range object index out of range');
+    return this.start + i * this.step;
+  }
+  slice(start = null, stop = null) {
+    const clamp = (index, fallback) => index == null
+      ? fallback
+      : Math.min(Math.max(index < 0 ? index + this.length : index, 0), this.length);
+    return new range(this.start + clamp(start, 0) * this.step, this.start + clamp(stop, this.length) * this.step, this.step);
+  }
+  __contains__(value) {
+    if (typeof value !== 'number' || (value - this.start) % this.step !== 0) return false;
+    return this.step > 0 ? value >= this.start && value < this.stop : value <= this.start && value > this.stop;
+  }
+  indexOf(value) {
+    return this.__contains__(value) ? (value - this.start) / this.step : -1;
+  }
+  count(value) {
+    return this.__contains__(value) ? 1 : 0;
+  }
+  *[Symbol.iterator]() {
+    const { start, stop, step } = this;
+    for (let i = start; step > 0 ? i < stop : i > stop; i += step) yield i;
+  }
+  __repr__() {
+    return `range(${this.start}, ${this.stop}${this.step === 1 ? '' : `, ${this.step}`})`;
+  }
+  toString() {
+    return this.__repr__();
+  }
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return this.__repr__();
+  }
+}
+
+function repr(value) {
+  if (value == null) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'nan';
+    if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    const quote = value.includes("'") && !value.includes('"') ? '"' : "'";
+    const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+    return quote + escaped.split(quote).join('\\' + quote) + quote;
+  }
+  if (value instanceof Uint8Array) {
+    const text = repr(Array.from(value, byte => String.fromCharCode(byte)).join(''));
+    return 'b' + text.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\xff]/g, ch => '\\x' + ch.charCodeAt(0).toString(16).padStart(2, '0'));
+  }
+  if (typeof value.__repr__ === 'function') return value.__repr__();
+  if (typeof value === 'function') return `<function ${value.name || '<lambda>'}>`;
+  if (Array.isArray(value)) return `[${value.map(repr).join(', ')}]`;
+  if (value instanceof Set) return value.size === 0 ? 'set()' : `{${Array.from(value, repr).join(', ')}}`;
+  if (value instanceof Map) return `{${Array.from(value, ([key, item]) => `${repr(key)}: ${repr(item)}`).join(', ')}}`;
+  if (__isDict(value)) return `{${Object.keys(value).map(key => `${repr(key)}: ${repr(value[key])}`).join(', ')}}`;
+  if (value instanceof Error) return `${value.name}(${repr(value.message)})`;
+  if (value.toString !== Object.prototype.toString) return String(value);
+  return `<${(value.constructor && value.constructor.name) || 'object'} object>`;
+}
+
+function str(value = '') {
+  if (typeof value === 'string') return value;
+  if (value != null && typeof value.__str__ === 'function') return value.__str__();
+  if (value instanceof Error) return value.message;
+  return repr(value);
+}
+str.__instancecheck__ = value => typeof value === 'string';
+
+function int(...args) {
+  const [value = 0, base = null] = __bindArguments('int', args, ['value', '/', 'base']);
+  if (typeof value === 'string') {
+    let text = value.trim().toLowerCase();
+    const sign = text[0] === '-' ? -1 : 1;
+    if (text[0] === '-' || text[0] === '+') text = text.slice(1);
+    let radix = base === null ? 10 : base;
+    const prefix = { '0x': 16, '0o': 8, '0b': 2 }[text.slice(0, 2)];
+    if (prefix && (radix === prefix || radix === 0)) {
+      radix = prefix;
+      text = text.slice(2).replace(/^_/, '');
+    }
+    const digits = '0123456789abcdefghijklmnopqrstuvwxyz'.slice(0, radix || 10);
+    if (!text || !text.split('_').every(part => part && Array.from(part).every(ch => digits.includes(ch)))) {
+      throw new ValueError(`invalid literal for int() with base ${base === null ? 10 : base}: ${repr(value)}`);
+    }
+    return sign * parseInt(text.replace(/_/g, ''), radix || 10);
+  }
+  if (base !== null) throw new TypeError("int() can't convert non-string with explicit base");
+  if (value != null && typeof value.__int__ === 'function') return value.__int__();
+  if (typeof value === 'boolean' || typeof value === 'bigint') return value === true ? 1 : value === false ? 0 : value;
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) throw new ValueError('cannot convert float NaN to integer');
+    if (!Number.isFinite(value)) throw new OverflowError('cannot convert float infinity to integer');
+    return Math.trunc(value) || 0;
+  }
+  throw new TypeError(`int() argument must be a string or a number, not '${__typeName(value)}'`);
+}
+int.__instancecheck__ = value => Number.isInteger(value) || typeof value === 'boolean' || typeof value === 'bigint';
+
+function float(value = 0) {
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase().replace(/(\d)_(?=\d)/g, '$1');
+    const special = /^([+-]?)(inf|infinity|nan)$/.exec(text);
+    if (special) return special[2] === 'nan' ? NaN : special[1] === '-' ? -Infinity : Infinity;
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/.test(text)) {
+      throw new ValueError(`could not convert string to float: ${repr(value)}`);
+    }
+    return Number(text);
+  }
+  if (value != null && typeof value.__float__ === 'function') return value.__float__();
+  if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint') return Number(value);
+  throw new TypeError(`float() argument must be a string or a real number, not '${__typeName(value)}'`);
+}
+float.__instancecheck__ = value => typeof value === 'number';
+
+function bool(value = false) {
+  if (value == null) return false;
+  if (typeof value.__bool__ === 'function') return Boolean(value.__bool__());
+  if (typeof value.__len__ === 'function') return value.__len__() > 0;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length > 0;
+  if (value instanceof Set || value instanceof Map) return value.size > 0;
+  if (__isDict(value)) return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+bool.__instancecheck__ = value => typeof value === 'boolean';
+
+function list(iterable = []) {
+  return Array.from(__iterate(iterable));
+}
+list.__instancecheck__ = value => Array.isArray(value);
+
+function dict(...args) {
+  const [values = [], entries] = __bindArguments('dict', args, ['values', '/', '**entries']);
+  const result = {};
+  if (values instanceof Map) {
+    values.forEach((value, key) => { result[key] = value; });
+  } else if (__isDict(values)) {
+    Object.assign(result, values);
+  } else {
+    let index = 0;
+    for (const entry of __iterate(values)) {
+      const pair = Array.from(entry);
+      if (pair.length !== 2) {
+        throw new ValueError(`dictionary update sequence element #${index} has length ${pair.length}; 2 is required`);
+      }
+      result[pair[0]] = pair[1];
+      index++;
+    }
+  }
+  return Object.assign(result, entries);
+}
+dict.__instancecheck__ = value => __isDict(value) || value instanceof Map;
+
+function set(iterable = []) {
+  return new Set(__iterate(iterable));
+}
+set.__instancecheck__ = value => value instanceof Set;
+
+function isinstance(value, classinfo) {
+  if (Array.isArray(classinfo)) return classinfo.some(type => isinstance(value, type));
+  if (classinfo != null && typeof classinfo.__instancecheck__ === 'function') return Boolean(classinfo.__instancecheck__(value));
+  if (typeof classinfo !== 'function') {
+    throw new TypeError('isinstance() arg 2 must be a type, a tuple of types, or a union');
+  }
+  return Object(value) instanceof classinfo;
+}
+
+function hasattr(object, name) {
+  return object != null && name in Object(object);
+}
+
+function getattr(object, name, ...fallback) {
+  if (object != null && name in Object(object)) {
+    const value = object[name];
+    const inherited = !Object.prototype.hasOwnProperty.call(object, name);
+    return typeof value === 'function' && inherited ? value.bind(object) : value;
+  }
+  if (fallback.length > 0) return fallback[0];
+  throw new AttributeError(`'${__typeName(object)}' object has no attribute '${name}'`);
+}
+
+// The other declarations each one refers to, which the compiler emits along
+// with it.
+const requires = {
+  Exception: ['BaseException'],
+  SystemExit: ['BaseException'],
+  KeyboardInterrupt: ['BaseException'],
+  ArithmeticError: ['Exception'],
+  ZeroDivisionError: ['ArithmeticError'],
+  OverflowError: ['ArithmeticError'],
+  FloatingPointError: ['ArithmeticError'],
+  AssertionError: ['Exception'],
+  AttributeError: ['Exception'],
+  LookupError: ['Exception'],
+  IndexError: ['LookupError'],
+  KeyError: ['LookupError'],
+  NameError: ['Exception'],
+  RuntimeError: ['Exception'],
+  NotImplementedError: ['RuntimeError'],
+  RecursionError: ['RuntimeError'],
+  OSError: ['Exception'],
+  IOError: ['OSError'],
+  FileNotFoundError: ['OSError'],
+  FileExistsError: ['OSError'],
+  IsADirectoryError: ['OSError'],
+  NotADirectoryError: ['OSError'],
+  PermissionError: ['OSError'],
+  TimeoutError: ['OSError'],
+  ConnectionError: ['OSError'],
+  ImportError: ['Exception'],
+  ModuleNotFoundError: ['ImportError'],
+  StopIteration: ['Exception'],
+  StopAsyncIteration: ['Exception'],
+  ValueError: ['Exception'],
+  UnicodeError: ['ValueError'],
+  __sliceIndices: ['ValueError'],
+  __sliceRange: ['__sliceIndices'],
+  __slice: ['__sliceRange'],
+  __setSlice: ['__sliceIndices', '__sliceRange', 'ValueError'],
+  __deleteSlice: ['__sliceRange'],
+  __contains: ['__typeName', '__isDict', '__iterate'],
+  __enterHandler: ['__handledExceptions'],
+  __exitHandler: ['__handledExceptions'],
+  __currentException: ['__handledExceptions', 'RuntimeError'],
+  __print: ['str'],
+  __bindArguments: ['__hasKeywords'],
+  __dictView: ['__isDict'],
+  __getItem: ['__index'],
+  __setItem: ['__index'],
+  __delItem: ['__index'],
+  __typeName: ['__isDict'],
+  __iterate: ['__isDict', '__typeName'],
+  __compare: ['__typeName'],
+  __minmax: ['__bindArguments', '__iterate', 'ValueError', '__compare'],
+  __format: ['ValueError', '__typeName', 'str', 'round'],
+  __percentFormat: ['ValueError', 'str', 'repr', '__format', '__typeName'],
+  __formatString: ['ValueError', 'IndexError', 'KeyError', 'str', 'repr', '__format'],
+  len: ['__isDict', '__typeName'],
+  sorted: ['__bindArguments', '__iterate', '__compare'],
+  min: ['__minmax'],
+  max: ['__minmax'],
+  sum: ['__bindArguments', '__iterate'],
+  any: ['__iterate', 'bool'],
+  all: ['__iterate', 'bool'],
+  abs: ['__typeName'],
+  round: ['__bindArguments'],
+  reversed: ['__iterate'],
+  enumerate: ['__bindArguments', '__iterate'],
+  zip: ['__bindArguments', '__iterate', 'ValueError'],
+  __rangeIndex: ['__typeName'],
+  __rangeStep: ['__rangeIndex', 'ValueError'],
+  range: ['__rangeIndex', '__rangeStep', 'IndexError'],
+  repr: ['__isDict'],
+  str: ['repr'],
+  int: ['__bindArguments', 'ValueError', 'repr', 'OverflowError', '__typeName'],
+  float: ['ValueError', 'repr', '__typeName'],
+  bool: ['__isDict'],
+  list: ['__iterate'],
+  dict: ['__bindArguments', '__isDict', '__iterate', 'ValueError'],
+  set: ['__iterate'],
+  getattr: ['AttributeError', '__typeName']
+};
+
+module.exports = {
+  helpers: {
+    BaseException,
+    Exception,
+    SystemExit,
+    KeyboardInterrupt,
+    ArithmeticError,
+    ZeroDivisionError,
+    OverflowError,
+    FloatingPointError,
+    AssertionError,
+    AttributeError,
+    LookupError,
+    IndexError,
+    KeyError,
+    NameError,
+    RuntimeError,
+    NotImplementedError,
+    RecursionError,
+    OSError,
+    IOError,
+    FileNotFoundError,
+    FileExistsError,
+    IsADirectoryError,
+    NotADirectoryError,
+    PermissionError,
+    TimeoutError,
+    ConnectionError,
+    ImportError,
+    ModuleNotFoundError,
+    StopIteration,
+    StopAsyncIteration,
+    ValueError,
+    UnicodeError,
+    __enterContext,
+    __enterAsyncContext,
+    __sliceIndices,
+    __sliceRange,
+    __slice,
+    __setSlice,
+    __deleteSlice,
+    __keywords,
+    __contains,
+    __exception,
+    __handledExceptions,
+    __enterHandler,
+    __exitHandler,
+    __currentException,
+    __deleteAttribute,
+    __hasKeywords,
+    __print,
+    __bindArguments,
+    __dictWithout,
+    __dictView,
+    __eq,
+    __classAttributes,
+    __instanceProxy,
+    __index,
+    __getItem,
+    __setItem,
+    __delItem,
+    __isDict,
+    __typeName,
+    __iterate,
+    __compare,
+    __minmax,
+    __format,
+    __percentFormat,
+    __formatString,
+    len,
+    sorted,
+    min,
+    max,
+    sum,
+    any,
+    all,
+    abs,
+    round,
+    reversed,
+    enumerate,
+    zip,
+    __rangeIndex,
+    __rangeStep,
+    range,
+    repr,
+    str,
+    int,
+    float,
+    bool,
+    list,
+    dict,
+    set,
+    isinstance,
+    hasattr,
+    getattr
+  },
+  requires
+};
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Regression checks for the expression parser: run with `node test/parser.js`.
+
+const assert = require('assert');
+const vm = require('vm');
+const { transpile } = require('../src/indentscript.js');
+
+function compile(source) {
+  const result = transpile(source);
+  assert.deepStrictEqual(result.diagnostics, [], `${source}\n${JSON.stringify(result.diagnostics)}`);
+  return result.code.trim();
+}
+
+function evaluate(expression) {
+  return vm.runInNewContext(`${compile(`x = ${expression}`)}\nx;`);
+}
+
+const cases = [
+  ['literals', () => {
+    assert.strictEqual(evaluate('0x1F'), 31);
+    assert.strictEqual(evaluate('0XfF'), 255);
+    assert.strictEqual(evaluate('0o17'), 15);
+    assert.strictEqual(evaluate('0b11'), 3);
+    assert.strictEqual(evaluate('0xFF_FF'), 65535);
+    assert.strictEqual(evaluate('1_000_000'), 1000000);
+    assert.strictEqual(evaluate('1.5e3'), 1500);
+    assert.strictEqual(evaluate('2E-2'), 0.02);
+    assert.strictEqual(evaluate('"ab\\\ncd"'), 'abcd');
+    assert.strictEqual(evaluate('"ab\\\r\ncd"'), 'abcd');
+  }],
+  ['arithmetic precedence', () => {
+    assert.strictEqual(evaluate('1 + 2 * 3'), 7);
+    assert.strictEqual(evaluate('(1 + 2) * 3'), 9);
+    assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+    assert.strictEqual(evaluate('2 ** 3 ** 2'), 512);
+    assert.strictEqual(evaluate('-2 ** 2'), -4);
+    assert.strictEqual(evaluate('1 << 2 + 1'), 8);
+    assert.strictEqual(evaluate('6 & 3 | 8 ^ 1'), 11);
+  }],
+  ['boolean precedence', () => {
+    assert.strictEqual(compile('x = not a and b or c'), 'const x = !a && b || c;');
+    assert.strictEqual(compile('x = a or b and c'), 'const x = a || b && c;');
+    assert.strictEqual(compile('x = not (a or b)'), 'const x = !(a || b);');
+  }],
+  ['conditional expressions', () => {
+    assert.strictEqual(compile('x = a if b else c'), 'const x = b ? a : c;');
+    assert.strictEqual(evaluate('1 if 2 > 3 else 4 if True else 5'), 4);
+  }],
+  ['comparisons', () => {
+    assert.strictEqual(evaluate('1 < 2 < 3'), true);
+    assert.strictEqual(evaluate('3 > 2 > 2'), false);
+    assert.strictEqual(evaluate('1 + 1 == 2'), true);
+  }]
+];
+
+let failures = 0;
+for (const [name, run] of cases) {
+  try {
+    run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`not ok - ${name}`);
+    console.log(error.message.replace(/^/gm, '  # '));
+  }
+}
+process.exitCode = failures ? 1 : 0;
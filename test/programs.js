@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// Checks that compiled programs behave as in Python: run with `node test/programs.js`.
+
+const assert = require('assert');
+const vm = require('vm');
+const { transpile } = require('../src/indentscript.js');
+
+// Compiles an indented snippet and runs it, returning what it printed.
+function run(source) {
+  const lines = source.replace(/^\n/, '').trimEnd().split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+  const result = transpile(lines.map(line => line.slice(indent)).join('\n'));
+  assert.deepStrictEqual(result.diagnostics, [], JSON.stringify(result.diagnostics));
+  const output = [];
+  vm.runInNewContext(result.code, { console: { log: text => output.push(text) } });
+  return output.join('\n');
+}
+
+const cases = [
+  ['keyword arguments', () => {
+    const source = `
+      def area(width, height=1, *, scale=1):
+          return width * height * scale
+
+      f = area
+      print(area(2, height=3, scale=2), f(2, scale=5), f(width=4))
+      for call in [lambda: f(1, depth=2), lambda: f(1, width=2)]:
+          try:
+              call()
+          except TypeError as e:
+              print(e)
+    `;
+    assert.strictEqual(run(source), [
+      '12 10 4',
+      "area() got an unexpected keyword argument 'depth'",
+      "area() got multiple values for argument 'width'"
+    ].join('\n'));
+  }],
+  ['functions as JavaScript callbacks', () => {
+    const source = `
+      def label(item, index):
+          return f"{index}:{item}"
+
+      print(["a", "b"].map(label))
+    `;
+    assert.strictEqual(run(source), "['0:a', '1:b']");
+  }],
+  ['slices and negative indices', () => {
+    const source = `
+      xs = [0, 1, 2, 3, 4, 5]
+      i = -1
+      def cut(a, b):
+          return xs[a:b]
+      print(xs[-1], xs[i], "hello"[-2], xs[1:3], xs[-2:], xs[::2], xs[::-1], "hello"[1:-1])
+      print(cut(None, 2), cut(4, None), cut(-3, -1), {-1: "neg"}[-1])
+      ys = list(xs)
+      ys[1:3] = [9]
+      ys[-1] = 7
+      print(ys)
+      del ys[::2], ys[0]
+      print(ys)
+    `;
+    assert.strictEqual(run(source), [
+      "5 5 l [1, 2] [4, 5] [0, 2, 4] [5, 4, 3, 2, 1, 0] ell",
+      '[0, 1] [4, 5] [3, 4] neg',
+      '[0, 9, 3, 4, 7]',
+      '[4]'
+    ].join('\n'));
+  }],
+  ['try/except dispatch', () => {
+    const source = `
+      class AppError(Exception):
+          pass
+
+      def classify(error):
+          try:
+              if error:
+                  raise error
+          except (KeyError, IndexError) as e:
+              return "lookup " + e.name
+          except ValueError:
+              return "value"
+          except AppError:
+              return "app"
+          else:
+              return "none"
+
+      def reraise():
+          raise
+
+      print(classify(KeyError("k")), classify(ValueError), classify(AppError), classify(None))
+      try:
+          classify(TypeError("t"))
+      except TypeError as e:
+          print("rethrown", e)
+      try:
+          try:
+              raise IndexError("i")
+          except IndexError:
+              reraise()
+      except IndexError as e:
+          print("reraised", e)
+      try:
+          reraise()
+      except RuntimeError:
+          print("no active exception")
+    `;
+    assert.strictEqual(run(source), [
+      'lookup KeyError value app none',
+      'rethrown t',
+      'reraised i',
+      'no active exception'
+    ].join('\n'));
+  }],
+  ['match patterns', () => {
+    const source = `
+      class Point:
+          def __init__(self, x, y):
+              self.x = x
+              self.y = y
+
+      def describe(value):
+          match value:
+              case 0 | 1:
+                  return "small"
+              case [first, *rest]:
+                  return f"list {first} {len(rest)}"
+              case {"kind": "circle", "r": r}:
+                  return f"circle {r}"
+              case Point(x=0, y=y):
+                  return f"on axis {y}"
+              case Point(x=x, y=y) if x == y:
+                  return f"diagonal {x}"
+              case str() as text:
+                  return "text " + text
+              case _:
+                  return "other"
+
+      for value in [1, [7, 8, 9], {"kind": "circle", "r": 2}, Point(0, 5), Point(3, 3), "hi", Point(1, 2)]:
+          print(describe(value))
+    `;
+    assert.strictEqual(run(source), 'small\nlist 7 2\ncircle 2\non axis 5\ndiagonal 3\ntext hi\nother');
+  }],
+  ['% formatting and .format()', () => {
+    const source = `
+      pair = ("a", 1.5)
+      print("%s=%.2f" % pair, "%5d|%-4s|" % (42, "x"), "%(n)s!" % {"n": "hi"}, "%x %o %%" % (255, 8), "%s" % ([1, 2],))
+      print("{} {:>5} {:.1f}".format("a", "b", 2.25), "{0}{1}{0}".format("x", "y"), "[{name:^7}]".format(name="mid"))
+      print("{p[0]} {d[k]} {!r}".format("q", p=[1, 2], d={"k": "v"}))
+    `;
+    assert.strictEqual(run(source), [
+      'a=1.50    42|x   | hi! ff 10 % [1, 2]',
+      'a     b 2.2 xyx [  mid  ]',
+      "1 v 'q'"
+    ].join('\n'));
+  }],
+  ['the receiver in nested functions', () => {
+    const source = `
+      class Counter:
+          def __init__(counter, start):
+              counter.count = start
+
+          def add_all(self, values):
+              def add(value):
+                  self.count += value
+              for value in values:
+                  add(value)
+              return self.count
+
+          def scaled(self, factor):
+              scale = lambda value: value * factor + self.count
+              return [scale(value) for value in [1, 2]]
+
+      def describe(self, extra):
+          return self["n"] + extra
+
+      c = Counter(1)
+      print(c.add_all([2, 3]), c.scaled(10), describe({"n": "a"}, "b"))
+    `;
+    assert.strictEqual(run(source), '6 [16, 26] ab');
+  }]
+];
+
+let failures = 0;
+for (const [name, test] of cases) {
+  try {
+    test();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`not ok - ${name}`);
+    console.log(error.message.replace(/^/gm, '  # '));
+  }
+}
+process.exitCode = failures ? 1 : 0;